@@ -0,0 +1,240 @@
+/**
+ * English messages. Also the fallback for keys missing from other catalogs.
+ */
+I18n.addMessages('en', {
+    // App shell
+    'app.title': 'Where does the taxi take you?',
+    'app.brand': 'Taxi',
+    'nav.create': 'CREATE',
+    'nav.search': 'SEARCH',
+    'nav.stats': 'STATS',
+    'nav.settings': 'SETTINGS',
+    'nav.language': 'Language',
+    'nav.menu': 'Menu',
+    'router.loading': 'Loading…',
+    'router.notFound': 'Page not found',
+    'router.loaded': '{title} loaded',
+    'router.loadError': 'Error loading page: {page}',
+
+    // Shared
+    'common.back': 'Back',
+    'common.cancel': 'Cancel',
+    'common.ok': 'OK',
+    'common.yes': 'Yes',
+    'common.no': 'No',
+    'common.unexpectedError': 'An unexpected error occurred',
+    'common.error': 'Error: {message}',
+    'common.offlineSince': 'You are offline. Showing the car list saved on {0:date}.',
+
+    // Car fields
+    'field.brand': 'Brand',
+    'field.model': 'Model',
+    'field.electric': 'Electric',
+    'field.fuelUse': 'Fuel usage',
+    'field.dayOfCommission': 'Commission date',
+    'field.owner': 'Owner',
+    'field.chooseBrand': 'Choose a brand…',
+
+    // Validation
+    'validation.required': '{label} is required',
+    'validation.number': '{label} must be a number',
+    'validation.greaterThan': '{label} must be greater than {min}',
+    'validation.date': '{label} must be a valid date',
+    'validation.future': '{label} cannot be in the future',
+    'validation.oneOf': 'Unknown {lowerLabel}. Valid ones include: {options}...',
+
+    // API errors
+    'api.connection': 'Failed to connect to the server',
+    'api.badRequest': 'Invalid data provided.',
+    'api.unauthorized': 'Authorization error: Please check your credentials',
+    'api.notFound': 'Not found.',
+    'api.timeout': 'The server did not respond in time',
+
+    // Notifications and dialogs
+    'toast.close': 'Close notification',
+    'dialog.confirmTitle': 'Are you sure?',
+
+    // Home
+    'home.title': 'Cars',
+    'home.filters': 'Filter cars',
+    'home.allBrands': 'All brands',
+    'home.drive': 'Drive',
+    'home.driveAll': 'All',
+    'home.driveElectric': 'Electric',
+    'home.driveCombustion': 'Non-electric',
+    'home.from': 'Commissioned from',
+    'home.to': 'Commissioned until',
+    'home.sortBy': 'Sort by',
+    'home.order': 'Order',
+    'home.ascending': 'Ascending',
+    'home.descending': 'Descending',
+    'home.clearFilters': 'Clear filters',
+    'home.exportCsv': 'Export CSV',
+    'home.exportJson': 'Export JSON',
+    'home.import': 'Import…',
+    'home.showing': 'Showing {0}–{1} of {2} cars',
+    'home.nothingToShow': 'No cars to show',
+    'home.electric': 'Electric',
+    'home.pendingDelete': 'Pending delete',
+    'home.pendingSync': 'Pending sync',
+    'home.fuelUse': 'Fuel Usage:',
+    'home.commissioned': 'Commissioned:',
+    'home.owner': 'Owner:',
+    'home.edit': 'Edit',
+    'home.noMatches': 'No cars match the filters.',
+    'home.empty': 'No cars yet.',
+    'home.pages': 'Car list pages',
+    'home.previous': 'Previous',
+    'home.next': 'Next',
+    'home.page': 'Page {0} of {1}',
+    'home.exportFailed': 'Export failed',
+    'home.exportFailedWith': 'Export failed: {message}',
+    'home.loadFailed': 'Error while loading cars',
+    'sort.id': 'Date added',
+    'sort.brand': 'Brand',
+    'sort.model': 'Model',
+    'sort.electric': 'Electric',
+    'sort.fuelUse': 'Fuel usage',
+    'sort.dayOfCommission': 'Commission date',
+    'sort.owner': 'Owner',
+
+    // Car editor
+    'car.title': 'Edit {0} {1}',
+    'car.delete': 'Delete',
+    'car.save': 'Save',
+    'car.saved': 'Car details saved successfully!',
+    'car.savedOffline': 'You are offline. The changes were saved and will be synced when the connection returns.',
+    'car.notFound': 'Car not found. It may have been deleted.',
+    'car.deleteTitle': 'Delete car?',
+    'car.deleteMessage': '{name} will be removed from the fleet.',
+    'car.thisCar': 'This car',
+    'car.theCar': 'The car',
+    'car.leaveTitle': 'Leave this page?',
+    'car.leaveMessage': 'You have unsaved changes. Discard them?',
+    'car.discard': 'Discard changes',
+    'car.keepEditing': 'Keep editing',
+    'car.loadFailed': 'Error while loading car with id {id}',
+    'car.beingDeleted': 'Car {id} is being deleted',
+
+    // Change history
+    'history.title': 'History',
+    'history.empty': 'No changes were made to this car from this browser yet.',
+    'history.create': 'Created',
+    'history.update': 'Edited',
+    'history.delete': 'Deleted',
+    'history.revert': 'Reverted',
+    'history.by': 'with code {0}',
+    'history.queued': 'sent after reconnecting',
+    'history.field': 'Field',
+    'history.before': 'Before',
+    'history.after': 'After',
+    'history.revertButton': 'Restore previous values',
+    'history.revertTitle': 'Restore previous values?',
+    'history.reverted': 'The previous values were restored.',
+    'history.revertedOffline': 'You are offline. The previous values will be restored when the connection returns.',
+    'history.revertFailed': 'Restore failed: {message}',
+
+    // Deletion with undo
+    'deletion.deleted': '{name} was deleted.',
+    'deletion.undo': 'Undo',
+    'deletion.restored': '{name} was restored.',
+    'deletion.restoredOffline': 'You are offline. {name} will be restored when the connection returns.',
+    'deletion.queued': 'You are offline. The car will be deleted when the connection returns.',
+    'deletion.failed': 'Delete failed: {message}',
+    'deletion.failedRetry': 'Failed to delete car. Please try again.',
+    'deletion.restoreFailed': 'Restore failed: {message}',
+    'deletion.restoreFailedRetry': 'Failed to restore the car.',
+
+    // Create
+    'create.title': 'Add New Car',
+    'create.submit': 'Add Car',
+    'create.added': 'Car added successfully with ID: {id}',
+    'create.addedOffline': 'You are offline. The car was saved and will be added when the connection returns.',
+
+    // Search
+    'search.title': 'Search',
+    'search.brand': 'Brand',
+    'search.brands': 'Brands',
+    'search.models': 'Models',
+    'search.loading': 'Loading…',
+    'search.modelCount': '{brand}: {count} models',
+    'search.noModels': '{brand}: no known models',
+    'search.failed': 'Something went wrong with the lookup',
+    'search.unknownBrand': 'No such brand',
+    'search.loadFailed': 'Error while loading search',
+
+    // Import
+    'import.title': 'Import Cars',
+    'import.intro': 'Choose a CSV or JSON file with the columns {0}, like the files exported from the car list.',
+    'import.file': 'File',
+    'import.import': 'Import',
+    'import.importCount': 'Import {count} car(s)',
+    'import.validRows': '{0} of {1} rows are valid',
+    'import.skipped': ', {0} will be skipped',
+    'import.row': 'Row',
+    'import.problems': 'Problems',
+    'import.ok': 'OK',
+    'import.rowsRead': '{file}: {count} row(s) read.',
+    'import.noCars': '{file} holds no cars.',
+    'import.unreadable': '{file} could not be read: {message}',
+    'import.progress': 'Importing {current} of {total}…',
+    'import.finished': 'Import finished.',
+    'import.added': '{0} car(s) added',
+    'import.queued': ', {0} queued until the connection returns',
+    'import.rejected': ', {0} rejected:',
+    'import.failure': 'Row {0} ({1} {2}): {3}',
+    'import.stopTitle': 'Stop the import?',
+    'import.stopMessage': 'The remaining rows will not be imported.',
+    'import.stop': 'Stop and leave',
+    'import.keepImporting': 'Keep importing',
+    'fleet.noColumns': 'No known columns in the header. Expected: {columns}',
+    'fleet.noList': 'Expected a list of cars',
+
+    // Statistics
+    'stats.title': 'Fleet Statistics',
+    'stats.offlineSince': 'You are offline. Showing statistics of the car list saved on {0:date}.',
+    'stats.summary': '{0:number} cars, {1:number} of them electric ({2:number}%).',
+    'stats.hint': 'Click a chart segment to list its cars.',
+    'stats.drive': 'Electric vs. combustion',
+    'stats.driveChart': 'Electric and combustion cars',
+    'stats.electric': 'Electric',
+    'stats.combustion': 'Combustion',
+    'stats.fuel': 'Average fuel use per brand',
+    'stats.fuelUnit': ' l',
+    'stats.age': 'Fleet age',
+    'stats.ageUnder1': 'Under 1 year',
+    'stats.age1to3': '1–3 years',
+    'stats.age3to5': '3–5 years',
+    'stats.age5to10': '5–10 years',
+    'stats.age10plus': '10+ years',
+    'stats.unknown': 'Unknown',
+    'stats.owners': 'Cars per owner',
+    'stats.otherOwners': 'Other owners',
+    'stats.noOwner': 'No owner',
+    'stats.loadFailed': 'Error while loading statistics',
+    'chart.noData': 'No data',
+
+    // Settings and sign-in
+    'settings.title': 'Settings',
+    'settings.code': 'Neptun code',
+    'settings.codeHint': 'Six letters or digits. Every request uses it; the server keeps the cars of each code apart.',
+    'settings.save': 'Save',
+    'settings.checking': 'Checking the code with the server…',
+    'settings.saved': 'Neptun code {code} saved.',
+    'settings.codeRequired': 'Enter a Neptun code',
+    'settings.codeFormat': 'A Neptun code has six letters or digits',
+    'settings.codeRejected': 'The server does not accept this code',
+    'settings.codeUnchecked': 'The code could not be checked: {message}',
+    'auth.title': 'Sign in again',
+    'auth.message': 'The server rejected the Neptun code. Enter a working one to retry the request.',
+    'auth.retry': 'Save and retry',
+
+    // Not found
+    'notFound.title': 'Page not found',
+    'notFound.message': 'There is no page at {0}.',
+    'notFound.back': 'Back to the car list',
+
+    // Offline sync
+    'offline.synced': '{sent} offline change(s) synced.',
+    'offline.rejected': '{sent} offline change(s) synced, {failed} rejected by the server: {messages}',
+});
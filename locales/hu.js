@@ -0,0 +1,240 @@
+/**
+ * Hungarian messages.
+ */
+I18n.addMessages('hu', {
+    // App shell
+    'app.title': 'Hova visz a taxi?',
+    'app.brand': 'Taxi',
+    'nav.create': 'ÚJ AUTÓ',
+    'nav.search': 'KERESÉS',
+    'nav.stats': 'STATISZTIKA',
+    'nav.settings': 'BEÁLLÍTÁSOK',
+    'nav.language': 'Nyelv',
+    'nav.menu': 'Menü',
+    'router.loading': 'Betöltés…',
+    'router.notFound': 'Az oldal nem található',
+    'router.loaded': '{title} betöltve',
+    'router.loadError': 'Hiba az oldal betöltésekor: {page}',
+
+    // Shared
+    'common.back': 'Vissza',
+    'common.cancel': 'Mégse',
+    'common.ok': 'OK',
+    'common.yes': 'Igen',
+    'common.no': 'Nem',
+    'common.unexpectedError': 'Váratlan hiba történt',
+    'common.error': 'Hiba: {message}',
+    'common.offlineSince': 'Nincs kapcsolat. A legutóbb mentett autólista látható (mentve: {0:date}).',
+
+    // Car fields
+    'field.brand': 'Márka',
+    'field.model': 'Modell',
+    'field.electric': 'Elektromos',
+    'field.fuelUse': 'Fogyasztás',
+    'field.dayOfCommission': 'Forgalomba helyezés',
+    'field.owner': 'Tulajdonos',
+    'field.chooseBrand': 'Válassz márkát…',
+
+    // Validation
+    'validation.required': '{label}: kötelező mező',
+    'validation.number': '{label}: számot adj meg',
+    'validation.greaterThan': '{label}: nagyobbnak kell lennie, mint {min}',
+    'validation.date': '{label}: érvénytelen dátum',
+    'validation.future': '{label}: nem lehet jövőbeli dátum',
+    'validation.oneOf': '{label}: ismeretlen érték. Érvényes például: {options}...',
+
+    // API errors
+    'api.connection': 'Nem sikerült kapcsolódni a szerverhez',
+    'api.badRequest': 'Érvénytelen adatok.',
+    'api.unauthorized': 'Jogosultsági hiba: ellenőrizd a hozzáférési adataidat',
+    'api.notFound': 'Nem található.',
+    'api.timeout': 'A szerver nem válaszolt időben',
+
+    // Notifications and dialogs
+    'toast.close': 'Értesítés bezárása',
+    'dialog.confirmTitle': 'Biztos vagy benne?',
+
+    // Home
+    'home.title': 'Autók',
+    'home.filters': 'Autók szűrése',
+    'home.allBrands': 'Minden márka',
+    'home.drive': 'Hajtás',
+    'home.driveAll': 'Mind',
+    'home.driveElectric': 'Elektromos',
+    'home.driveCombustion': 'Nem elektromos',
+    'home.from': 'Forgalomba helyezve ettől',
+    'home.to': 'Forgalomba helyezve eddig',
+    'home.sortBy': 'Rendezés',
+    'home.order': 'Irány',
+    'home.ascending': 'Növekvő',
+    'home.descending': 'Csökkenő',
+    'home.clearFilters': 'Szűrők törlése',
+    'home.exportCsv': 'CSV export',
+    'home.exportJson': 'JSON export',
+    'home.import': 'Importálás…',
+    'home.showing': '{0}–{1}. autó, összesen {2}',
+    'home.nothingToShow': 'Nincs megjeleníthető autó',
+    'home.electric': 'Elektromos',
+    'home.pendingDelete': 'Törlésre vár',
+    'home.pendingSync': 'Szinkronizálásra vár',
+    'home.fuelUse': 'Fogyasztás:',
+    'home.commissioned': 'Forgalomba helyezve:',
+    'home.owner': 'Tulajdonos:',
+    'home.edit': 'Szerkesztés',
+    'home.noMatches': 'Egy autó sem felel meg a szűrőknek.',
+    'home.empty': 'Még nincs autó.',
+    'home.pages': 'Autólista oldalai',
+    'home.previous': 'Előző',
+    'home.next': 'Következő',
+    'home.page': '{0}. oldal / {1}',
+    'home.exportFailed': 'Az exportálás nem sikerült',
+    'home.exportFailedWith': 'Az exportálás nem sikerült: {message}',
+    'home.loadFailed': 'Hiba az autók betöltésekor',
+    'sort.id': 'Hozzáadás ideje',
+    'sort.brand': 'Márka',
+    'sort.model': 'Modell',
+    'sort.electric': 'Elektromos',
+    'sort.fuelUse': 'Fogyasztás',
+    'sort.dayOfCommission': 'Forgalomba helyezés',
+    'sort.owner': 'Tulajdonos',
+
+    // Car editor
+    'car.title': '{0} {1} szerkesztése',
+    'car.delete': 'Törlés',
+    'car.save': 'Mentés',
+    'car.saved': 'Az autó adatai elmentve!',
+    'car.savedOffline': 'Nincs kapcsolat. A módosításokat elmentettük, a kapcsolat helyreálltával szinkronizáljuk őket.',
+    'car.notFound': 'Az autó nem található. Lehet, hogy törölték.',
+    'car.deleteTitle': 'Törlöd az autót?',
+    'car.deleteMessage': '{name} kikerül a flottából.',
+    'car.thisCar': 'Ez az autó',
+    'car.theCar': 'Az autó',
+    'car.leaveTitle': 'Elhagyod az oldalt?',
+    'car.leaveMessage': 'Vannak mentetlen módosításaid. Elveted őket?',
+    'car.discard': 'Módosítások elvetése',
+    'car.keepEditing': 'Szerkesztés folytatása',
+    'car.loadFailed': 'Hiba a(z) {id} azonosítójú autó betöltésekor',
+    'car.beingDeleted': 'A(z) {id} azonosítójú autó törlés alatt áll',
+
+    // Change history
+    'history.title': 'Előzmények',
+    'history.empty': 'Ebből a böngészőből még nem módosították ezt az autót.',
+    'history.create': 'Létrehozva',
+    'history.update': 'Szerkesztve',
+    'history.delete': 'Törölve',
+    'history.revert': 'Visszaállítva',
+    'history.by': '{0} kóddal',
+    'history.queued': 'a kapcsolat helyreálltával elküldve',
+    'history.field': 'Mező',
+    'history.before': 'Előtte',
+    'history.after': 'Utána',
+    'history.revertButton': 'Korábbi értékek visszaállítása',
+    'history.revertTitle': 'Visszaállítod a korábbi értékeket?',
+    'history.reverted': 'A korábbi értékek visszaállítva.',
+    'history.revertedOffline': 'Nincs kapcsolat. A korábbi értékeket a kapcsolat helyreálltával állítjuk vissza.',
+    'history.revertFailed': 'A visszaállítás nem sikerült: {message}',
+
+    // Deletion with undo
+    'deletion.deleted': '{name} törölve.',
+    'deletion.undo': 'Visszavonás',
+    'deletion.restored': '{name} visszaállítva.',
+    'deletion.restoredOffline': 'Nincs kapcsolat. {name} a kapcsolat helyreálltával kerül vissza.',
+    'deletion.queued': 'Nincs kapcsolat. Az autót a kapcsolat helyreálltával töröljük.',
+    'deletion.failed': 'A törlés nem sikerült: {message}',
+    'deletion.failedRetry': 'Az autót nem sikerült törölni. Próbáld újra.',
+    'deletion.restoreFailed': 'A visszaállítás nem sikerült: {message}',
+    'deletion.restoreFailedRetry': 'Az autót nem sikerült visszaállítani.',
+
+    // Create
+    'create.title': 'Új autó hozzáadása',
+    'create.submit': 'Autó hozzáadása',
+    'create.added': 'Az autó hozzáadva, azonosítója: {id}',
+    'create.addedOffline': 'Nincs kapcsolat. Az autót elmentettük, a kapcsolat helyreálltával hozzáadjuk.',
+
+    // Search
+    'search.title': 'Keresés',
+    'search.brand': 'Márka',
+    'search.brands': 'Márkák',
+    'search.models': 'Modellek',
+    'search.loading': 'Betöltés…',
+    'search.modelCount': '{brand}: {count} modell',
+    'search.noModels': '{brand}: nincs ismert modell',
+    'search.failed': 'Valami gond van a lekérdezéssel',
+    'search.unknownBrand': 'Nincs ilyen márka',
+    'search.loadFailed': 'Hiba a keresés betöltésekor',
+
+    // Import
+    'import.title': 'Autók importálása',
+    'import.intro': 'Válassz egy CSV vagy JSON fájlt a következő oszlopokkal: {0} – ahogy az autólista exportálja.',
+    'import.file': 'Fájl',
+    'import.import': 'Importálás',
+    'import.importCount': '{count} autó importálása',
+    'import.validRows': '{1} sorból {0} érvényes',
+    'import.skipped': ', {0} kimarad',
+    'import.row': 'Sor',
+    'import.problems': 'Hibák',
+    'import.ok': 'Rendben',
+    'import.rowsRead': '{file}: {count} sor beolvasva.',
+    'import.noCars': '{file} nem tartalmaz autót.',
+    'import.unreadable': '{file} nem olvasható: {message}',
+    'import.progress': 'Importálás: {current} / {total}…',
+    'import.finished': 'Az importálás befejeződött.',
+    'import.added': '{0} autó hozzáadva',
+    'import.queued': ', {0} a kapcsolat helyreálltára vár',
+    'import.rejected': ', {0} elutasítva:',
+    'import.failure': '{0}. sor ({1} {2}): {3}',
+    'import.stopTitle': 'Leállítod az importálást?',
+    'import.stopMessage': 'A hátralévő sorok nem kerülnek importálásra.',
+    'import.stop': 'Leállítás és kilépés',
+    'import.keepImporting': 'Importálás folytatása',
+    'fleet.noColumns': 'A fejlécben nincs ismert oszlop. Várt oszlopok: {columns}',
+    'fleet.noList': 'Autók listáját vártuk',
+
+    // Statistics
+    'stats.title': 'Flottastatisztika',
+    'stats.offlineSince': 'Nincs kapcsolat. A legutóbb mentett autólista statisztikája látható (mentve: {0:date}).',
+    'stats.summary': '{0:number} autó, ebből {1:number} elektromos ({2:number}%).',
+    'stats.hint': 'Kattints egy diagramszeletre az autói listázásához.',
+    'stats.drive': 'Elektromos és belső égésű',
+    'stats.driveChart': 'Elektromos és belső égésű autók',
+    'stats.electric': 'Elektromos',
+    'stats.combustion': 'Belső égésű',
+    'stats.fuel': 'Átlagfogyasztás márkánként',
+    'stats.fuelUnit': ' l',
+    'stats.age': 'A flotta kora',
+    'stats.ageUnder1': '1 évnél fiatalabb',
+    'stats.age1to3': '1–3 éves',
+    'stats.age3to5': '3–5 éves',
+    'stats.age5to10': '5–10 éves',
+    'stats.age10plus': '10 évnél idősebb',
+    'stats.unknown': 'Ismeretlen',
+    'stats.owners': 'Autók tulajdonosonként',
+    'stats.otherOwners': 'Többi tulajdonos',
+    'stats.noOwner': 'Nincs tulajdonos',
+    'stats.loadFailed': 'Hiba a statisztika betöltésekor',
+    'chart.noData': 'Nincs adat',
+
+    // Settings and sign-in
+    'settings.title': 'Beállítások',
+    'settings.code': 'Neptun-kód',
+    'settings.codeHint': 'Hat betű vagy szám. Minden kérés ezt használja; a szerver kódonként külön tárolja az autókat.',
+    'settings.save': 'Mentés',
+    'settings.checking': 'A kód ellenőrzése a szerverrel…',
+    'settings.saved': 'A(z) {code} Neptun-kód elmentve.',
+    'settings.codeRequired': 'Adj meg egy Neptun-kódot',
+    'settings.codeFormat': 'A Neptun-kód hat betűből vagy számból áll',
+    'settings.codeRejected': 'A szerver nem fogadja el ezt a kódot',
+    'settings.codeUnchecked': 'A kódot nem sikerült ellenőrizni: {message}',
+    'auth.title': 'Újra bejelentkezés',
+    'auth.message': 'A szerver elutasította a Neptun-kódot. Adj meg egy működőt, és a kérést újraküldjük.',
+    'auth.retry': 'Mentés és újrapróbálás',
+
+    // Not found
+    'notFound.title': 'Az oldal nem található',
+    'notFound.message': 'Nincs oldal ezen a címen: {0}.',
+    'notFound.back': 'Vissza az autólistához',
+
+    // Offline sync
+    'offline.synced': '{sent} offline módosítás szinkronizálva.',
+    'offline.rejected': '{sent} offline módosítás szinkronizálva, {failed} elutasítva a szerver által: {messages}',
+});
@@ -5,76 +5,261 @@
 const root = ref("root");
 
 /**
- * Reference to the "Create" button which navigates to the car creation page.
+ * Mobile menu toggle and the menu it opens. Nav items are `data-link` links,
+ * so `utils/dom.js` handles their clicks.
  * @type {HTMLElement}
  */
-const btnCreate = ref("btn-create");
-const btnSearch = ref("btn-search");
+const navbarToggler = ref("navbarToggler");
+const navbarNav = ref("navbarNav");
 
 /**
- * Event handler for navigating to the 'create' page.
+ * Opens or closes the mobile menu, keeping `aria-expanded` in sync.
+ * @param {boolean} open - Whether the menu should be open.
  */
-btnCreate.onclick = () => {
-  Router.navigate({ page: "create" });
+const setMenuOpen = (open) => {
+  navbarNav.classList.toggle("active", open);
+  navbarToggler.setAttribute("aria-expanded", String(open));
 };
 
-btnSearch.onclick = () => {
-  Router.navigate({ page: "search" });
+navbarToggler.onclick = () => {
+  setMenuOpen(navbarToggler.getAttribute("aria-expanded") !== "true");
 };
 
+/**
+ * Escape closes the open menu and returns focus to its toggle.
+ */
+navbarNav.addEventListener("keydown", (e) => {
+  if (e.key !== "Escape" || navbarToggler.getAttribute("aria-expanded") !== "true") return;
+  setMenuOpen(false);
+  navbarToggler.focus();
+});
+
+/**
+ * Marks the nav item of the route being entered with `aria-current`
+ * and closes the mobile menu on every navigation.
+ */
+Router.onNavigate(({ page }) => {
+  navbarNav.querySelectorAll("[data-page]").forEach((item) => {
+    if (item.dataset.page === page) item.setAttribute("aria-current", "page");
+    else item.removeAttribute("aria-current");
+  });
+  setMenuOpen(false);
+});
+
+/**
+ * Language switcher of the navbar. Switching translates the navbar and enters
+ * the current URL again, so the page re-renders in the new language; unlike
+ * `Router.refresh()` this runs the leave guards, so unsaved edits are not lost silently.
+ * @type {HTMLSelectElement}
+ */
+const languageSelect = ref("languageSelect");
+
+languageSelect.innerHTML = inject(
+  '{{#each languages}}<option value="{{@key}}" lang="{{@key}}">{{label}}</option>{{/each}}',
+  { languages: I18n.languages }
+);
+languageSelect.value = I18n.language();
+languageSelect.onchange = () => I18n.setLanguage(languageSelect.value);
+
+I18n.translateDocument();
+I18n.subscribe((language) => {
+  languageSelect.value = language;
+  history.replaceState(history.state, "", window.location.href);
+});
+
 /**
  * Route handler for the "home" page.
  *
- * Fetches all car data from the API and injects it into the provided HTML template.
- * Renders the result into the root element. Handles API or rendering errors gracefully.
+ * Reads all car data from `CarStore` and injects it into the provided HTML template.
+ * Without a connection the list saved by `Offline` is shown instead, and changes
+ * still waiting in the outbox are overlaid on the list as pending.
+ * The list is then filtered, sorted and paginated by the query params (see `CarList`),
+ * and `scripts/home.js` is mounted to drive the toolbar. Cars whose deletion can
+ * still be undone (see `Deletions`) are left out.
+ * Patches the result into the root element, so only changed cards are touched.
+ * Handles API or rendering errors gracefully.
+ * Does nothing once the navigation was superseded.
  *
  * @param {string} html - The HTML template to be rendered.
+ * @param {Object.<string, string>} params - Route parameters, including the list query.
+ * @param {Function} hydrate - Function to re-bind event listeners or reinitialize dynamic elements.
+ * @param {AbortSignal} signal - Aborted when a newer navigation supersedes this one.
  */
-Router.onPage('home', async (html) => {
+Router.onPage('home', async (html, params, hydrate, signal) => {
   try {
-    const res = await api("car");
-    const cars = await res.json();
-    
-    render(root, inject(html, { cars }));
+    const { cars, offlineSince } = await CarStore.list({ signal });
+    if (signal.aborted) return;
+
+    const query = CarList.parse(params);
+    const { items, pagination } = CarList.apply(Deletions.hide(cars), query);
+
+    patch(root, inject(html, {
+      cars: items,
+      offlineSince,
+      pagination,
+      paged: pagination.pages > 1,
+      filtered: CarList.isFiltered(query),
+      brands: CarSchema.brands,
+      sortFields: Object.fromEntries(CarList.sortFields.map((field) => [field, t(`sort.${field}`)])),
+    }));
+    hydrate();
   } catch (error) {
-    renderError(root, "Error while loading cars");
+    if (signal.aborted) return;
+    renderError(root, t('home.loadFailed'));
   }
 });
 
 /**
  * Route handler for the "car" details page.
  *
- * Fetches specific car details based on the provided `id`, injects the data into the HTML,
- * and hydrates interactive elements afterward.
+ * Reads specific car details from `CarStore` based on the provided `id`, injects the data into the HTML,
+ * and hydrates interactive elements afterward. Without a connection the car is taken
+ * from the list saved by `Offline`, including its pending changes. A car whose deletion
+ * can still be undone is treated as gone.
  *
  * @param {string} html - The HTML template to render.
  * @param {{id: number|string}} param1 - Route parameters, including the car's ID.
  * @param {Function} hydrate - Function to re-bind event listeners or reinitialize dynamic elements.
+ * @param {AbortSignal} signal - Aborted when a newer navigation supersedes this one.
  */
-Router.onPage('car', async (html, { id }, hydrate) => {
+Router.onPage('car', async (html, { id }, hydrate, signal) => {
   try {
-    const res = await api(`car/${id}`);
-    const car = await res.json();
+    if (Deletions.isScheduled(id)) throw new ApiError(t('car.beingDeleted', { id }), { status: 404 });
 
-    render(root, inject(html, car));
+    const car = await CarStore.get(id, { signal });
+    if (signal.aborted) return;
+
+    patch(root, inject(html, car));
     hydrate();
   } catch (error) {
-    renderError(root, `Error while loading car with id ${id}`);
+    if (signal.aborted) return;
+    renderError(root, t('car.loadFailed', { id }));
   }
 });
 
 
+/**
+ * Route handler for the "stats" page.
+ *
+ * Aggregates the car list (see `FleetStats`) and renders it as SVG charts.
+ * Chart segments are `data-link`s to the home list filtered to that segment.
+ * Cars waiting to be deleted, offline or within their undo window, are left out.
+ *
+ * @param {string} html - The HTML template to render.
+ * @param {Object.<string, string>} params - Route parameters.
+ * @param {Function} hydrate - Function to re-bind event listeners or reinitialize dynamic elements.
+ * @param {AbortSignal} signal - Aborted when a newer navigation supersedes this one.
+ */
+Router.onPage('stats', async (html, params, hydrate, signal) => {
+  try {
+    const { cars, offlineSince } = await CarStore.list({ signal });
+    if (signal.aborted) return;
+
+    const stats = FleetStats.summarize(Deletions.hide(cars).filter((car) => !car.pendingDelete));
+
+    patch(root, inject(html, {
+      ...stats,
+      offlineSince,
+      electricPercent: stats.drive.electricShare * 100,
+      charts: FleetStats.charts(stats),
+    }));
+    hydrate();
+  } catch (error) {
+    if (signal.aborted) return;
+    renderError(root, t('stats.loadFailed'));
+  }
+});
+
+/**
+ * Route handler for the "settings" page, prefilled with the Neptun code in use.
+ */
+Router.onPage('settings', async (html, params, hydrate) => {
+  patch(root, inject(html, { code: Credentials.code() }));
+  hydrate();
+});
+
 Router.onPage('search', async (html, {}, hydrate) => {
   try {
-    render(root, html);
+    patch(root, inject(html));
     hydrate();
   } catch (error) {
-    renderError(root, `Error while loading search`);
+    renderError(root, t('search.loadFailed'));
     console.log(error);
   }
 });
 
 /**
- * Initializes the Router to start handling page navigation.
+ * Reports the outcome of replaying changes made offline.
+ * `CarStore` invalidates its cars meanwhile, so the lists stop showing them as pending.
+ */
+Offline.subscribe(({ type, sent, failures }) => {
+  if (type !== 'replayed') return;
+
+  if (failures.length) {
+    const messages = failures.map(({ entry, error }) => `${entry.method} ${entry.url}: ${error.message}`);
+    toast(t('offline.rejected', { sent, failed: failures.length, messages: messages.join('; ') }), { type: 'error', duration: 0 });
+  } else {
+    toast(t('offline.synced', { sent }), { type: 'success' });
+  }
+});
+
+/**
+ * Renders the car list pages again whenever a car changes in `CarStore`.
+ * The car page subscribes on its own, as it must not overwrite unsaved edits.
+ */
+CarStore.subscribe(() => {
+  if (['home', 'stats'].includes(Router.getParams().page)) Router.refresh();
+});
+
+/**
+ * The server keeps separate cars per Neptun code, so every stored car
+ * belongs to the old code once it changes.
+ */
+Credentials.subscribe(() => CarStore.invalidate());
+
+/**
+ * Registers the service worker that caches the app shell for offline use,
+ * and sends changes queued in an earlier session.
  */
-Router.init();
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('sw.js').catch((err) => console.warn('Service worker registration failed', err));
+}
+Offline.replay().catch((err) => console.error('Outbox replay failed', err));
+
+/**
+ * Path routes of the pages. Pages without a route are still reachable
+ * through legacy `?page=` URLs, unknown paths render `pages/not-found.html`.
+ */
+Router.route('/', 'home');
+Router.route('/car/:id', 'car');
+Router.route('/create', 'create');
+Router.route('/search', 'search');
+Router.route('/import', 'import');
+Router.route('/stats', 'stats');
+Router.route('/settings', 'settings');
+
+/**
+ * Data prefetchers: hovering or focusing a link to a page loads its cars
+ * into `CarStore`, which the page handlers above read from.
+ */
+Router.onPrefetch('home', () => CarStore.list());
+Router.onPrefetch('stats', () => CarStore.list());
+Router.onPrefetch('car', ({ id }) => {
+  if (!Deletions.isScheduled(id)) return CarStore.get(id);
+});
+
+/**
+ * Initializes the Router to start handling page navigation,
+ * with a loading indicator while a route resolves. Page templates are kept
+ * in localStorage until the next release (`AppConfig.version`), and link
+ * targets are prefetched together with their data. After each navigation focus
+ * moves to the page heading, which is announced in the current language.
+ */
+Router.init({
+  loadingIndicator: true,
+  loadingText: () => t('router.loading'),
+  loadedText: (title) => t('router.loaded', { title }),
+  cache: 'local',
+  cacheVersion: AppConfig.version,
+  prefetchData: true,
+});
@@ -1,168 +1,286 @@
 /**
- * List of valid car brands for input validation.
- * Used to ensure only accepted brands are submitted.
- * @type {string[]}
+ * Template of the history panel. Values are escaped by `DOM.inject`.
+ * @type {string}
  */
-const validCarBrands = [
-    "Toyota", "Honda", "Ford", "Chevrolet", "Volkswagen", "BMW", "Mercedes-Benz", "Audi",
-    "Nissan", "Hyundai", "Kia", "Volvo", "Subaru", "Mazda", "Lexus", "Tesla", "Porsche",
-    "Jeep", "Fiat", "Renault", "Peugeot", "Citroën", "Skoda", "Seat", "Opel", "Mitsubishi"
-];
+const HISTORY_TEMPLATE = `{{#if entries}}
+<ol class="car-history-list">
+  {{#each entries}}
+  <li class="car-history-entry">
+    <p class="car-history-meta">
+      <strong>{{title}}</strong>
+      <time datetime="{{timestamp}}">{{when}}</time>
+      {{#if by}}<span>{{t "history.by" by}}</span>{{/if}}
+      {{#if queued}}<span class="car-history-queued">{{t "history.queued"}}</span>{{/if}}
+    </p>
+    {{#if changes}}
+    <table class="car-history-diff">
+      <thead>
+        <tr><th scope="col">{{t "history.field"}}</th><th scope="col">{{t "history.before"}}</th><th scope="col">{{t "history.after"}}</th></tr>
+      </thead>
+      <tbody>
+        {{#each changes}}
+        <tr><th scope="row">{{label}}</th><td><del>{{before}}</del></td><td><ins>{{after}}</ins></td></tr>
+        {{/each}}
+      </tbody>
+    </table>
+    {{/if}}
+    {{#if revertable}}
+    <button type="button" class="btn-primary car-history-revert" data-revert="{{id}}">{{t "history.revertButton"}}</button>
+    {{/if}}
+  </li>
+  {{/each}}
+</ol>
+{{else}}
+<p class="car-history-empty">{{t "history.empty"}}</p>
+{{/if}}`;
 
 /**
- * Parses a combined "Brand - Model" string into separate parts.
- * 
- * @param {string} combinedInput - The input string in format "Brand - Model".
- * @returns {{ brand: string, model: string }} Object containing `brand` and `model`.
+ * Whether the form holds edits that were not saved yet.
+ * @type {boolean}
  */
-const parseBrandModel = (combinedInput) => {
-    const parts = combinedInput.split('-').map(part => part.trim());
-    return {
-        brand: parts[0] || '',
-        model: parts.slice(1).join('-') || ''
-    };
+let hasUnsavedChanges = false;
+
+/**
+ * Car as last loaded or saved, recreated when a deletion is undone too late.
+ * Seeded from the stored record the page was rendered from, not from the form,
+ * so fields the schema would reject are kept as the server has them.
+ * @type {object}
+ */
+let savedCar = {};
+
+/**
+ * Unsubscribes the page from `CarStore`.
+ * @type {(() => void)|undefined}
+ */
+let unsubscribeStore;
+
+/**
+ * Unsubscribes the page from `CarHistory`.
+ * @type {(() => void)|undefined}
+ */
+let unsubscribeHistory;
+
+/**
+ * Unregisters the page's leave guard. A refresh remounts the page without leaving it,
+ * so the guard must not outlive the mount that registered it.
+ * @type {(() => void)|undefined}
+ */
+let removeLeaveGuard;
+
+/**
+ * Asks the browser to confirm closing or reloading the tab while edits are unsaved.
+ * @param {BeforeUnloadEvent} e
+ */
+const warnBeforeUnload = (e) => {
+    if (!hasUnsavedChanges) return;
+    e.preventDefault();
+    e.returnValue = '';
 };
 
 /**
- * Save button event handler. Validates and submits the form for saving car data.
+ * Submit handler of the car editor. Validates and submits the form for saving car data.
+ * 
+ * Validates all fields against the shared `CarSchema` and shows every problem inline,
+ * next to its field.
  * 
- * Validates:
- * - Combined "Brand - Model" field.
- * - Brand is from accepted list.
- * - Fuel usage (if not electric) is a valid positive number.
+ * Saves the car through `CarStore`, which updates every page right away and
+ * submits data via PUT request to the `car` API endpoint; validation errors
+ * returned by the server are shown on the same fields.
  * 
- * Submits data via PUT request to the `car` API endpoint.
+ * @param {SubmitEvent} e - Submit event of the form.
  */
-DOM.ref("btn-save").onclick = async () => {
-    const id = parseInt(DOM.ref("id").value);
+const saveCar = async (e) => {
+    e.preventDefault();
+    const form = e.currentTarget;
 
-    const carModelInput = DOM.ref("carModel").value;
-    const { brand, model } = parseBrandModel(carModelInput);
+    const { valid, errors, data: carData } = CarSchema.validate(CarSchema.read(form));
 
-    const electric = DOM.ref('electric').checked;
-    const fuelUse = DOM.ref('fuelUse').value;
-    const dayOfCommission = DOM.ref('commissionDate').value;
-    const owner = DOM.ref('owner').value;
-
-    // Validate brand and model format
-    if (!brand || !model) {
-        alert('Both brand and model are required (format: Brand - Model)');
-        DOM.ref('carModel').focus();
+    if (!valid) {
+        DOM.showFieldErrors(form, errors);
         return;
     }
 
-    // Validate brand against list
-    const isValidBrand = validCarBrands.some(validBrand =>
-        validBrand.toLowerCase() === brand.toLowerCase()
-    );
+    DOM.clearFieldErrors(form);
 
-    if (!isValidBrand) {
-        alert(`Please enter a valid car brand. Some valid brands include: ${validCarBrands.slice(0, 5).join(', ')}...`);
-        DOM.ref('carModel').focus();
-        return;
-    }
+    try {
+        const { queued } = await CarStore.update(carData);
 
-    // Validate fuel consumption for non-electric cars
-    let numericFuelUse = null;
-    if (!electric && fuelUse) {
-        numericFuelUse = parseFloat(fuelUse);
-        if (isNaN(numericFuelUse)) {
-            alert('Fuel consumption must be a number');
-            DOM.ref('fuelUse').focus();
-            return;
+        hasUnsavedChanges = false;
+        savedCar = carData;
+        renderHistory(String(carData.id));
+        if (queued) {
+            DOM.toast(t('car.savedOffline'), { type: 'info' });
+        } else {
+            DOM.toast(t('car.saved'), { type: 'success' });
         }
-        if (numericFuelUse <= 0) {
-            alert('Fuel consumption should be greater than 0');
-            DOM.ref('fuelUse').focus();
-            return;
+    } catch (error) {
+        console.error('Error:', error);
+
+        if (error.status === 400) {
+            DOM.showFieldErrors(form, CarSchema.fromServerError(error));
+        } else if (error.status === 404) {
+            DOM.toast(t('car.notFound'), { type: 'error' });
+        } else {
+            DOM.toast(error instanceof ApiError ? error.message : t('common.unexpectedError'), { type: 'error' });
         }
     }
+};
 
-    /**
-     * @typedef {Object} CarData
-     * @property {number} id - Car ID.
-     * @property {string} brand - Car brand.
-     * @property {string} model - Car model.
-     * @property {boolean} electric - Whether the car is electric.
-     * @property {string|null} owner - Owner's name (optional).
-     * @property {string|null} dayOfCommission - Commissioning date (optional).
-     * @property {number} fuelUse - Fuel consumption (0 if electric).
-     */
-
-    /** @type {CarData} */
-    const carData = {
-        id,
-        brand,
-        model,
-        electric,
-        owner: owner || null,
-        dayOfCommission: dayOfCommission || null,
-        fuelUse: electric ? 0.0 : numericFuelUse
-    };
+/**
+ * Formats a field value for the history panel.
+ * 
+ * @param {string} field - Schema field.
+ * @param {*} value - Logged value.
+ * @returns {string} The value as the form shows it, `—` when empty.
+ */
+const historyValue = (field, value) => {
+    if (value === undefined || value === null || value === '') return '—';
+    if (field === 'electric') return t(value ? 'common.yes' : 'common.no');
+    if (field === 'dayOfCommission') return I18n.formatDate(value) || String(value);
+    if (field === 'fuelUse') return I18n.formatNumber(value, 1) || String(value);
+    return String(value);
+};
 
-    try {
-        // Submit data via PUT
-        
-        const response = await api('car', {
-            method: 'PUT',
-            body: JSON.stringify(carData)
+/**
+ * Renders the logged changes of the car into the history panel.
+ * Every update can be reverted unless the car already has the values it would restore.
+ * 
+ * @param {string} carId - Car id.
+ */
+const renderHistory = (carId) => {
+    const panel = DOM.ref('carHistory');
+    if (!panel) return;
+
+    const entries = CarHistory.list(carId).map((entry) => ({
+        id: entry.id,
+        title: t(`history.${entry.type}`),
+        when: I18n.formatDateTime(entry.at),
+        timestamp: new Date(entry.at).toISOString(),
+        by: entry.by,
+        queued: entry.queued,
+        changes: entry.changes.map(({ field, before, after }) => ({
+            label: t(`field.${field}`),
+            before: historyValue(field, before),
+            after: historyValue(field, after),
+        })),
+        revertable: Boolean(entry.before && entry.after) &&
+            Object.keys(entry.before).some((field) => String(entry.before[field] ?? '') !== String(savedCar[field] ?? '')),
+    }));
+
+    DOM.patch(panel, DOM.inject(HISTORY_TEMPLATE, { entries }));
+};
+
+/**
+ * Revert button handler of the history panel. Saves the values the car had
+ * before the chosen change, after confirming that unsaved edits are discarded.
+ * The page renders again through its `CarStore` subscription.
+ * 
+ * @param {string} carId - Car id.
+ * @param {string} entryId - `CarHistory` entry to revert.
+ */
+const revertChange = async (carId, entryId) => {
+    const entry = CarHistory.find(entryId);
+    if (!entry?.before) return;
+
+    if (hasUnsavedChanges) {
+        const discard = await DOM.confirm(t('car.leaveMessage'), {
+            title: t('history.revertTitle'),
+            confirmLabel: t('car.discard'),
+            cancelLabel: t('car.keepEditing'),
+            danger: true,
         });
+        if (!discard) return;
+    }
 
-        const data = await response.json();
+    hasUnsavedChanges = false;
 
-        if (response.ok) {
-            alert('Car details saved successfully!');
-        } else {
-            // Handle known error codes
-            switch (response.status) {
-                case 400:
-                    alert(`Validation error: ${data.message}`);
-                    break;
-                case 401:
-                    alert('Authorization error: Please check your credentials');
-                    break;
-                case 404:
-                    alert('Error: Car not found. It may have been deleted.');
-                    break;
-                default:
-                    alert('An unexpected error occurred');
-            }
-        }
+    try {
+        const { queued } = await CarStore.update({ ...entry.before, id: carId }, { revertOf: entry.id });
+        DOM.toast(t(queued ? 'history.revertedOffline' : 'history.reverted'), { type: queued ? 'info' : 'success' });
     } catch (error) {
         console.error('Error:', error);
-        alert('Failed to connect to the server');
+        DOM.toast(error instanceof ApiError ? t('history.revertFailed', { message: error.message }) : t('common.unexpectedError'), { type: 'error' });
     }
 };
 
 /**
  * Delete button event handler.
- * Sends a DELETE request to remove a car entry by ID.
- * Redirects to the home page after operation.
+ * Asks for confirmation, then schedules the deletion through `Deletions`, which
+ * hides the car at once and offers to undo it for a few seconds before the
+ * DELETE request is sent. Redirects to the home page.
  */
-DOM.ref("btn-delete").onclick = async () => {
-    const id = DOM.ref("id").value;
+const deleteCar = async () => {
+    const name = `${savedCar.brand ?? ''} ${savedCar.model ?? ''}`.trim();
 
-    try {
-        const response = await api(`car/${id}`, {
-            method: 'DELETE',
-        });
+    const confirmed = await DOM.confirm(t('car.deleteMessage', { name: name || t('car.thisCar') }), {
+        title: t('car.deleteTitle'),
+        confirmLabel: t('car.delete'),
+        danger: true,
+    });
+    if (!confirmed) return;
 
-        const data = await response.json();
-
-        if (!response.ok) {
-            if (response.status === 400) {
-                alert(`Error: ${data.message || "Invalid data provided."}`);
-            } else if (response.status === 401) {
-                alert(`Error: ${data.message || "Invalid Neptun code. Access denied."}`);
-            } else if (response.status === 404) {
-                alert(`Error: ${data.message || "Car not found."}`);
-            } else {
-                alert("Failed to delete car. Please try again.");
-            }
-        }
-    } catch (error) {
-        alert('Error deleting car:', error);
-    }
+    Deletions.schedule(savedCar, { label: name || t('car.theCar') });
 
+    hasUnsavedChanges = false;
     Router.navigate({ page: "home" });
 };
+
+/**
+ * Mounts the car editor: binds the form buttons, links the brand and model pickers
+ * and guards unsaved edits against both in-app navigation and closing the tab.
+ * The page renders again when the car changes in `CarStore`, unless it holds unsaved edits.
+ * The history panel lists the car's logged changes and updates as new ones are recorded.
+ * 
+ * @param {HTMLElement} root - Element the page was rendered into.
+ * @param {Object.<string, string>} params - Route parameters.
+ * @param {AbortSignal} signal - Aborted once the route is superseded.
+ */
+export const mount = (root, params, signal) => {
+    hasUnsavedChanges = false;
+
+    root.querySelector('.car-editor').oninput = () => {
+        hasUnsavedChanges = true;
+    };
+
+    const form = DOM.ref("editCarForm");
+    CarCatalog.attachModelPicker(form, { signal });
+    const loadedCar = CarStore.peek(params.id);
+    savedCar = loadedCar
+        ? Object.fromEntries(['id', ...Object.keys(CarSchema.fields)].map((field) => [field, loadedCar[field]]))
+        : CarSchema.read(form);
+    form.onsubmit = saveCar;
+    DOM.ref("btn-delete").onclick = deleteCar;
+
+    const carId = String(params.id);
+    renderHistory(carId);
+    DOM.ref('carHistory').onclick = (e) => {
+        const button = e.target.closest('[data-revert]');
+        if (button) revertChange(carId, button.dataset.revert);
+    };
+
+    unsubscribeStore = CarStore.subscribe(({ id }) => {
+        if (!hasUnsavedChanges && (id === undefined || id === carId)) Router.refresh();
+    });
+    unsubscribeHistory = CarHistory.subscribe((entry) => {
+        if (entry.carId === carId) renderHistory(carId);
+    });
+
+    window.addEventListener('beforeunload', warnBeforeUnload);
+    removeLeaveGuard = Router.beforeLeave(() => !hasUnsavedChanges || DOM.confirm(t('car.leaveMessage'), {
+        title: t('car.leaveTitle'),
+        confirmLabel: t('car.discard'),
+        cancelLabel: t('car.keepEditing'),
+        danger: true,
+    }));
+};
+
+/**
+ * Removes the page's window, store and history listeners and its leave guard
+ * once the page is left or remounted.
+ */
+export const unmount = () => {
+    unsubscribeStore?.();
+    unsubscribeHistory?.();
+    removeLeaveGuard?.();
+    window.removeEventListener('beforeunload', warnBeforeUnload);
+};
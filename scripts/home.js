@@ -0,0 +1,140 @@
+/**
+ * Delay after the last keystroke in the owner filter before the list updates, in milliseconds.
+ * @type {number}
+ */
+const OWNER_FILTER_DELAY = 300;
+
+/**
+ * List query the page was rendered with.
+ * @type {CarListQuery}
+ */
+let currentQuery = CarList.defaults;
+
+/**
+ * Pending owner filter update.
+ * @type {number|undefined}
+ */
+let ownerTimer;
+
+/**
+ * Reads the list query from the toolbar, starting again at the first page.
+ *
+ * @param {HTMLFormElement} form - The toolbar.
+ * @returns {CarListQuery}
+ */
+const readToolbar = (form) => CarList.parse({
+    ...Object.fromEntries(new FormData(form)),
+    p: '1',
+});
+
+/**
+ * Shows the list query in the toolbar. The owner filter is left alone while it
+ * has focus, so a re-render does not overwrite what is being typed.
+ *
+ * @param {HTMLFormElement} form - The toolbar.
+ * @param {CarListQuery} query - List query to show.
+ */
+const fillToolbar = (form, query) => {
+    for (const input of form.elements) {
+        if (!input.name || (input.name === 'owner' && input === document.activeElement)) continue;
+        input.value = query[input.name] ?? '';
+    }
+};
+
+/**
+ * Navigates to the list with the given query, unless it is already shown.
+ *
+ * @param {CarListQuery} query - List query.
+ * @param {boolean} [replace=false] - Replace the history entry instead of adding one.
+ */
+const showQuery = (query, replace = false) => {
+    const params = CarList.toParams(query);
+    if (JSON.stringify(params) === JSON.stringify(CarList.toParams(currentQuery))) return;
+
+    currentQuery = query;
+    Router.navigate({ page: 'home', ...params }, { replace });
+};
+
+/**
+ * Downloads the cars matching the current filters, all pages of them, as CSV or JSON.
+ * Cars still waiting to be created offline are left out, as they have no id yet.
+ *
+ * @param {'csv'|'json'} format - File format.
+ */
+const exportCars = async (format) => {
+    try {
+        const { cars } = await CarStore.list();
+        const matching = CarList.filter(Deletions.hide(cars).filter((car) => !car.pendingCreate), currentQuery);
+        const filename = `taxis-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        if (format === 'csv') {
+            Fleet.download(filename, Fleet.toCsv(matching), 'text/csv');
+        } else {
+            Fleet.download(filename, Fleet.toJson(matching), 'application/json');
+        }
+    } catch (error) {
+        console.error('Export failed', error);
+        DOM.toast(error instanceof ApiError ? t('home.exportFailedWith', { message: error.message }) : t('home.exportFailed'), { type: 'error' });
+    }
+};
+
+/**
+ * Mounts the list toolbar, export buttons and pagination: every change is written to the URL,
+ * which renders the list again. Typing in the owner filter updates the current
+ * history entry instead of adding one per keystroke.
+ *
+ * @param {HTMLElement} root - Element the page was rendered into.
+ * @param {Object.<string, string>} params - Route parameters holding the list query.
+ */
+export const mount = (root, params) => {
+    const form = root.querySelector('#carListToolbar');
+    currentQuery = CarList.parse(params);
+    if (!form) return;
+
+    fillToolbar(form, currentQuery);
+
+    form.oninput = (e) => {
+        if (e.target.name !== 'owner') return;
+
+        clearTimeout(ownerTimer);
+        ownerTimer = setTimeout(() => showQuery(readToolbar(form), true), OWNER_FILTER_DELAY);
+    };
+
+    form.onchange = (e) => {
+        if (e.target.name === 'owner') return;
+        showQuery(readToolbar(form));
+    };
+
+    form.onsubmit = (e) => {
+        e.preventDefault();
+        clearTimeout(ownerTimer);
+        showQuery(readToolbar(form));
+    };
+
+    form.onreset = (e) => {
+        e.preventDefault();
+        clearTimeout(ownerTimer);
+        showQuery(CarList.parse({}));
+    };
+
+    root.querySelectorAll('[data-export]').forEach((button) => {
+        button.onclick = () => exportCars(button.dataset.export);
+    });
+
+    const pagination = root.querySelector('.car-pagination');
+    if (pagination) {
+        pagination.onclick = (e) => {
+            const button = e.target.closest('[data-goto]');
+            if (!button || button.disabled) return;
+
+            showQuery({ ...currentQuery, p: Number(button.dataset.goto) });
+        };
+    }
+};
+
+/**
+ * Drops a pending owner filter update once the page is left.
+ */
+export const unmount = () => {
+    clearTimeout(ownerTimer);
+};
@@ -0,0 +1,222 @@
+/**
+ * Template of the preview table. Values are escaped by `DOM.inject`.
+ * @type {string}
+ */
+const PREVIEW_TEMPLATE = `{{#if rows}}
+<p>{{t "import.validRows" valid total}}{{#if invalid}}{{t "import.skipped" invalid}}{{/if}}.</p>
+<div class="import-table-wrapper">
+<table class="import-table">
+  <thead>
+    <tr><th>{{t "import.row"}}</th><th>{{t "field.brand"}}</th><th>{{t "field.model"}}</th><th>{{t "field.electric"}}</th><th>{{t "field.fuelUse"}}</th><th>{{t "field.dayOfCommission"}}</th><th>{{t "field.owner"}}</th><th>{{t "import.problems"}}</th></tr>
+  </thead>
+  <tbody>
+    {{#each rows}}
+    <tr class="{{#if valid}}import-row-valid{{else}}import-row-invalid{{/if}}">
+      <td>{{line}}</td>
+      <td>{{values.brand}}</td>
+      <td>{{values.model}}</td>
+      <td>{{#if data.electric}}{{t "common.yes"}}{{else}}{{t "common.no"}}{{/if}}</td>
+      <td>{{values.fuelUse}}</td>
+      <td>{{values.dayOfCommission}}</td>
+      <td>{{values.owner}}</td>
+      <td>{{#each problems}}<span class="field-error">{{this}}</span> {{else}}{{t "import.ok"}}{{/each}}</td>
+    </tr>
+    {{/each}}
+  </tbody>
+</table>
+</div>
+{{/if}}`;
+
+/**
+ * Template of the summary shown after an import.
+ * @type {string}
+ */
+const RESULT_TEMPLATE = `<p>{{t "import.added" created}}{{#if queued}}{{t "import.queued" queued}}{{/if}}{{#if failed}}{{t "import.rejected" failed}}{{/if}}</p>
+{{#if failures}}
+<ul class="import-failures">
+  {{#each failures}}
+  <li>{{t "import.failure" line brand model message}}</li>
+  {{/each}}
+</ul>
+{{/if}}`;
+
+/**
+ * @typedef {Object} ImportRow
+ * @property {number} line - Position in the file; line 1 of a CSV is its header.
+ * @property {object} values - Raw values read from the file.
+ * @property {boolean} valid - Whether the row passed `CarSchema`.
+ * @property {string[]} problems - Messages of the failed rules.
+ * @property {object} data - Normalized car, without an id.
+ */
+
+/**
+ * Rows of the chosen file.
+ * @type {ImportRow[]}
+ */
+let rows = [];
+
+/**
+ * Whether an import is being sent.
+ * @type {boolean}
+ */
+let importing = false;
+
+/**
+ * Unregisters the page's leave guard, see `unmount`.
+ * @type {(() => void)|undefined}
+ */
+let removeLeaveGuard;
+
+/**
+ * Shows a status message above the preview.
+ * @param {string} message - Message, empty to clear it.
+ */
+const setStatus = (message) => {
+    DOM.ref('importStatus').textContent = message;
+};
+
+/**
+ * Validates every row with the rules the create form uses.
+ * Ids in the file are ignored, every row becomes a new car.
+ *
+ * @param {object[]} entries - Raw values per row.
+ * @param {boolean} isCsv - Whether row numbers should count the header line.
+ * @returns {ImportRow[]}
+ */
+const checkRows = (entries, isCsv) => entries.map((values, index) => {
+    const { valid, errors, data } = CarSchema.validate({ ...values, id: undefined });
+    delete data.id;
+
+    return {
+        line: isCsv ? index + 2 : index + 1,
+        values,
+        valid,
+        problems: Object.values(errors),
+        data,
+    };
+});
+
+/**
+ * Renders the preview table and enables the import button for the valid rows.
+ */
+const renderPreview = () => {
+    const valid = rows.filter((row) => row.valid).length;
+
+    DOM.patch(DOM.ref('importPreview'), DOM.inject(PREVIEW_TEMPLATE, {
+        rows,
+        total: rows.length,
+        valid,
+        invalid: rows.length - valid,
+    }));
+
+    const button = DOM.ref('btn-import');
+    button.disabled = valid === 0 || importing;
+    button.textContent = valid ? t('import.importCount', { count: valid }) : t('import.import');
+};
+
+/**
+ * Reads and checks the chosen file.
+ * @param {File|undefined} file - Chosen file.
+ */
+const readFile = async (file) => {
+    rows = [];
+    DOM.render(DOM.ref('importResult'), '');
+
+    if (!file) {
+        setStatus('');
+        renderPreview();
+        return;
+    }
+
+    try {
+        const entries = Fleet.parse(await file.text(), file.name);
+        rows = checkRows(entries, !/\.json$/i.test(file.name));
+        setStatus(rows.length
+            ? t('import.rowsRead', { file: file.name, count: rows.length })
+            : t('import.noCars', { file: file.name }));
+    } catch (error) {
+        console.error('Import file could not be read', error);
+        setStatus(t('import.unreadable', { file: file.name, message: error.message }));
+    }
+
+    renderPreview();
+};
+
+/**
+ * Sends the valid rows one `POST car` at a time, updating the progress bar,
+ * then lists the rows the server rejected. Stops once the page is left.
+ *
+ * @param {AbortSignal} signal - Aborted when the page is left.
+ */
+const importRows = async (signal) => {
+    const pending = rows.filter((row) => row.valid);
+    const progress = DOM.ref('importProgress');
+    const result = { created: 0, queued: 0, failed: 0, failures: [] };
+
+    importing = true;
+    renderPreview();
+    progress.max = pending.length;
+    progress.value = 0;
+    progress.hidden = false;
+
+    for (const row of pending) {
+        if (signal.aborted) break;
+        setStatus(t('import.progress', { current: progress.value + 1, total: pending.length }));
+
+        try {
+            const { queued } = await CarStore.create(row.data);
+            result[queued ? 'queued' : 'created']++;
+        } catch (error) {
+            result.failed++;
+            result.failures.push({
+                line: row.line,
+                brand: row.data.brand,
+                model: row.data.model,
+                message: error instanceof ApiError ? error.message : t('common.unexpectedError'),
+            });
+        }
+
+        progress.value++;
+    }
+
+    importing = false;
+    if (signal.aborted) return;
+
+    setStatus(t('import.finished'));
+    rows = [];
+    DOM.ref('importForm').reset();
+    renderPreview();
+    DOM.patch(DOM.ref('importResult'), DOM.inject(RESULT_TEMPLATE, result));
+};
+
+/**
+ * Mounts the import page. Leaving it while an import runs asks for confirmation,
+ * as the remaining rows are not sent.
+ *
+ * @param {HTMLElement} root - Element the page was rendered into.
+ * @param {Object.<string, string>} params - Route parameters.
+ * @param {AbortSignal} signal - Aborted once the route is superseded.
+ */
+export const mount = (root, params, signal) => {
+    rows = [];
+    importing = false;
+
+    DOM.ref('importFile').onchange = (e) => readFile(e.target.files[0]);
+    DOM.ref('btn-import').onclick = () => importRows(signal);
+
+    removeLeaveGuard = Router.beforeLeave(() => !importing || DOM.confirm(t('import.stopMessage'), {
+        title: t('import.stopTitle'),
+        confirmLabel: t('import.stop'),
+        cancelLabel: t('import.keepImporting'),
+        danger: true,
+    }));
+};
+
+/**
+ * Drops the leave guard. A refresh remounts the page without leaving it,
+ * so without this every remount would stack another guard.
+ */
+export const unmount = () => {
+    removeLeaveGuard?.();
+    removeLeaveGuard = undefined;
+};
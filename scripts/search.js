@@ -1,31 +1,302 @@
-const list = DOM.ref("output");
-const validBrands = ["Toyota", "Honda", "Ford", "Chevrolet", "Nissan", "BMW", "Mercedes-Benz", "Volkswagen"];
-
-DOM.ref("btn-search-local").onclick = async () => {
-    const brand = DOM.ref("input").value;
-    
-    if(brand.length === 0){
-        alert("A bemenet mező üres");
-        return;
+/**
+ * Delay after the last keystroke before models are looked up, in milliseconds.
+ * @type {number}
+ */
+const LOOKUP_DELAY = 250;
+
+/**
+ * Template of the suggestion and model rows. Labels are escaped by `DOM.inject`.
+ * @type {string}
+ */
+const OPTIONS_TEMPLATE = `{{#each options}}
+<li role="option" id="{{id}}" data-index="{{@index}}" aria-selected="{{active}}" class="typeahead-option{{#if active}} is-active{{/if}}">{{label}}</li>
+{{/each}}`;
+
+/**
+ * State of the mounted page.
+ * - `brand`: brand whose models are listed.
+ * - `suggestions` / `models`: rows of the two lists.
+ * - `active`: list the arrow keys move through, and the highlighted row in it.
+ * @type {{brand: string|null, suggestions: string[], models: string[], active: {list: 'suggestions'|'models', index: number}}}
+ */
+const state = {
+    brand: null,
+    suggestions: [],
+    models: [],
+    active: { list: 'models', index: -1 },
+};
+
+/**
+ * Pending debounced lookup.
+ * @type {number|undefined}
+ */
+let lookupTimer;
+
+/**
+ * Aborts the running model lookup, `null` while none is running.
+ * @type {AbortController|null}
+ */
+let lookupController = null;
+
+/**
+ * Unregisters the view state provider of the mounted page.
+ * @type {(() => void)|null}
+ */
+let stopPreserving = null;
+
+/**
+ * Renders the rows of one list, highlighting the active row.
+ *
+ * @param {'suggestions'|'models'} list - List to render.
+ */
+const renderList = (list) => {
+    const element = DOM.ref(list === 'suggestions' ? 'brandSuggestions' : 'output');
+    const { active } = state;
+
+    const options = state[list].map((label, index) => ({
+        label,
+        id: `${list}-option-${index}`,
+        active: active.list === list && active.index === index,
+    }));
+
+    DOM.patch(element, DOM.inject(OPTIONS_TEMPLATE, { options }));
+
+    if (list === 'suggestions') {
+        element.hidden = options.length === 0;
+        DOM.ref('input').setAttribute('aria-expanded', String(options.length > 0));
     }
 
-    const valid = validBrands.includes(brand);
+    const activeOption = active.index >= 0 && active.list === list ? options[active.index] : null;
+    if (activeOption) {
+        DOM.ref('input').setAttribute('aria-activedescendant', activeOption.id);
+        DOM.ref(activeOption.id).scrollIntoView?.({ block: 'nearest' });
+    } else if (active.list === list) {
+        DOM.ref('input').removeAttribute('aria-activedescendant');
+    }
+};
+
+/**
+ * Shows a status message below the input.
+ * @param {string} message - Message, empty to clear it.
+ */
+const setStatus = (message) => {
+    DOM.ref('searchStatus').textContent = message;
+};
+
+/**
+ * Shows brand suggestions for what was typed, or hides them.
+ * @param {string[]} suggestions - Suggested brands.
+ */
+const showSuggestions = (suggestions) => {
+    state.suggestions = suggestions;
+    state.active = suggestions.length ? { list: 'suggestions', index: -1 } : { list: 'models', index: -1 };
+    renderList('suggestions');
+};
+
+/**
+ * Lists the models of `state.brand` and tells how many there are.
+ * @param {string[]} models - Models of the brand.
+ */
+const showModels = (models) => {
+    const { brand } = state;
+    state.models = models;
+    state.active = { list: 'models', index: -1 };
+    renderList('models');
+    setStatus(models.length ? t('search.modelCount', { brand, count: models.length }) : t('search.noModels', { brand }));
+};
+
+/**
+ * Looks up and lists the models of a brand, unless they are already listed.
+ * A newer lookup, or leaving the page, cancels the running one.
+ *
+ * @param {string} brand - Brand to look up.
+ */
+const lookupModels = async (brand) => {
+    clearTimeout(lookupTimer);
+    if (brand === state.brand) return;
+
+    lookupController?.abort();
+    const controller = new AbortController();
+    lookupController = controller;
+    const { signal } = controller;
 
-    if(valid){
-        try {
-            const response = await fetch(`https://iit-playground.arondev.hu/api/available-models?brand=${brand}`);
-            const data = await response.json(); 
+    state.brand = brand;
+    setStatus(t('search.loading'));
 
-            let html = "";
-            for (let i = 0; i < data.length; i++) {
-                html += `<li>${data[i]}</li>`
+    try {
+        const models = await CarCatalog.models(brand, { signal });
+        if (signal.aborted) return;
+
+        showModels(models);
+    } catch (error) {
+        if (signal.aborted) return;
+
+        console.error('Model lookup failed', error);
+        state.brand = null;
+        state.models = [];
+        renderList('models');
+        setStatus(t('search.failed'));
+    } finally {
+        if (lookupController === controller) lookupController = null;
+    }
+};
+
+/**
+ * Takes a suggested brand into the input and lists its models right away.
+ * @param {string} brand - Chosen brand.
+ */
+const chooseBrand = (brand) => {
+    DOM.ref('input').value = brand;
+    showSuggestions([]);
+    lookupModels(brand);
+};
+
+/**
+ * Opens the create page with the brand and model prefilled.
+ * @param {string} model - Chosen model.
+ */
+const chooseModel = (model) => {
+    Router.navigate({ page: 'create', brand: state.brand, model });
+};
+
+/**
+ * Moves the highlight through the active list, wrapping around at both ends.
+ * @param {number} step - `1` for down, `-1` for up.
+ */
+const moveActive = (step) => {
+    const { list, index } = state.active;
+    const count = state[list].length;
+    if (!count) return;
+
+    state.active = { list, index: (index + step + count) % count };
+    renderList(list);
+};
+
+/**
+ * Updates the suggestions while typing, and looks up the models once the
+ * text names a brand and typing paused.
+ */
+const onInput = () => {
+    const text = DOM.ref('input').value;
+    showSuggestions(CarCatalog.suggestBrands(text));
+
+    clearTimeout(lookupTimer);
+    const brand = CarCatalog.findBrand(text);
+    if (brand) {
+        lookupTimer = setTimeout(() => lookupModels(brand), LOOKUP_DELAY);
+    } else if (!text.trim()) {
+        setStatus('');
+    }
+};
+
+/**
+ * Keyboard navigation: arrows move the highlight, Enter picks the highlighted
+ * brand or model, Escape closes the suggestions.
+ *
+ * @param {KeyboardEvent} e
+ */
+const onKeyDown = (e) => {
+    const { list, index } = state.active;
+
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+            e.preventDefault();
+            moveActive(e.key === 'ArrowDown' ? 1 : -1);
+            break;
+        case 'Enter': {
+            e.preventDefault();
+            if (list === 'suggestions') {
+                const brand = state.suggestions[index] ?? (state.suggestions.length === 1 ? state.suggestions[0] : null);
+                if (brand) chooseBrand(brand);
+            } else if (index >= 0) {
+                chooseModel(state.models[index]);
+            } else {
+                const brand = CarCatalog.findBrand(e.target.value);
+                if (brand) lookupModels(brand);
+                else setStatus(t('search.unknownBrand'));
+            }
+            break;
+        }
+        case 'Escape':
+            if (state.suggestions.length) {
+                e.preventDefault();
+                showSuggestions([]);
             }
-            DOM.render(list, html);
-        } catch (error) {
-            alert("Valami gond van a lekérdezéssel");
-        }     
+            break;
+    }
+};
+
+/**
+ * Brings back the search a Back / Forward navigation returned to: the typed text and
+ * the listed models. A lookup that was still running when the page was left starts again.
+ *
+ * @param {{text?: string, brand?: string|null, models?: string[]}|null} saved - View state of the entry.
+ */
+const restoreSearch = (saved) => {
+    if (!saved) return;
+
+    DOM.ref('input').value = saved.text ?? '';
+    if (!saved.brand) return;
 
-    }else{
-        alert("Nincs ilyen márka");
+    if (saved.models?.length) {
+        state.brand = saved.brand;
+        showModels(saved.models);
+    } else {
+        lookupModels(saved.brand);
     }
 };
+
+/**
+ * Mounts the typeahead.
+ *
+ * @param {HTMLElement} root - Element the page was rendered into.
+ * @param {Object.<string, string>} params - Route parameters.
+ * @param {AbortSignal} signal - Aborted once the route is superseded.
+ */
+export const mount = (root, params, signal) => {
+    signal.addEventListener('abort', () => lookupController?.abort(), { once: true });
+    state.brand = null;
+    state.suggestions = [];
+    state.models = [];
+    state.active = { list: 'models', index: -1 };
+
+    const input = DOM.ref('input');
+    input.oninput = onInput;
+    input.onkeydown = onKeyDown;
+    input.onblur = () => showSuggestions([]);
+
+    DOM.ref('searchForm').onsubmit = (e) => e.preventDefault();
+
+    // `mousedown` fires before the input loses focus and closes the suggestions
+    DOM.ref('brandSuggestions').onmousedown = (e) => {
+        const option = e.target.closest('[data-index]');
+        if (!option) return;
+        e.preventDefault();
+        chooseBrand(state.suggestions[Number(option.dataset.index)]);
+    };
+
+    DOM.ref('output').onclick = (e) => {
+        const option = e.target.closest('[data-index]');
+        if (option) chooseModel(state.models[Number(option.dataset.index)]);
+    };
+
+    restoreSearch(Router.getViewState());
+    // While a lookup runs, the listed models still belong to the previous brand
+    stopPreserving = Router.preserveViewState(() => ({
+        text: input.value,
+        brand: state.brand,
+        models: lookupController ? [] : state.models,
+    }));
+};
+
+/**
+ * Cancels a pending lookup once the page is left.
+ */
+export const unmount = () => {
+    clearTimeout(lookupTimer);
+    lookupController?.abort();
+    lookupController = null;
+    stopPreserving?.();
+    stopPreserving = null;
+};
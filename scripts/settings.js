@@ -0,0 +1,56 @@
+/**
+ * Submit handler of the settings form.
+ * 
+ * Checks the entered Neptun code with the server before saving it, so a typo
+ * does not lock every page out. While the check runs the button is disabled.
+ * 
+ * @param {SubmitEvent} e - Submit event of the form.
+ * @param {AbortSignal} signal - Aborted once the page is left.
+ */
+const saveSettings = async (e, signal) => {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const button = DOM.ref('btn-save-settings');
+    const status = DOM.ref('settingsStatus');
+    const { value } = form.elements.neptunCode;
+
+    DOM.clearFieldErrors(form);
+    button.disabled = true;
+    status.textContent = t('settings.checking');
+
+    try {
+        const error = await Credentials.check(value, { signal });
+        if (signal.aborted) return;
+
+        if (error) {
+            status.textContent = '';
+            DOM.showFieldErrors(form, { neptunCode: error });
+            return;
+        }
+
+        Credentials.set(value);
+        form.elements.neptunCode.value = Credentials.code();
+        status.textContent = '';
+        DOM.toast(t('settings.saved', { code: Credentials.code() }), { type: 'success' });
+    } catch (error) {
+        // Leaving the page aborts the check, there is nothing left to report
+        if (signal.aborted || error?.name === 'AbortError') return;
+
+        console.error('Error:', error);
+        status.textContent = '';
+        DOM.toast(error instanceof ApiError ? t('common.error', { message: error.message }) : t('common.unexpectedError'), { type: 'error' });
+    } finally {
+        button.disabled = false;
+    }
+};
+
+/**
+ * Mounts the settings page.
+ * 
+ * @param {HTMLElement} root - Element the page was rendered into.
+ * @param {Object.<string, string>} params - Route parameters.
+ * @param {AbortSignal} signal - Aborted once the route is superseded.
+ */
+export const mount = (root, params, signal) => {
+    DOM.ref('settingsForm').onsubmit = (e) => saveSettings(e, signal);
+};
@@ -0,0 +1,147 @@
+/**
+ * Service Worker
+ * Caches the app shell so the app starts and navigates without a connection.
+ *
+ * - Page loads are network-first and fall back to the cached `index.html`.
+ * - Other same-origin GET requests (pages, scripts, styles, icons) are served
+ *   from the cache and refreshed in the background.
+ * - API calls to other origins are left alone; `utils/offline.js` handles those.
+ *
+ * Bump `CACHE_VERSION` whenever `SHELL_FILES` changes, and on every release together
+ * with `AppConfig.version` in `utils/config.js`, which keys the router's page cache.
+ */
+
+const CACHE_VERSION = 'v17';
+
+/**
+ * Name of the cache holding the current app shell.
+ * @type {string}
+ */
+const SHELL_CACHE = `taxi-shell-${CACHE_VERSION}`;
+
+/**
+ * Files of the app shell, relative to the worker's scope.
+ * @type {string[]}
+ */
+const SHELL_FILES = [
+    './',
+    'index.html',
+    '404.html',
+    'main.js',
+    'locales/en.js',
+    'locales/hu.js',
+    'utils/api.js',
+    'utils/carlist.js',
+    'utils/catalog.js',
+    'utils/charts.js',
+    'utils/config.js',
+    'utils/credentials.js',
+    'utils/deletions.js',
+    'utils/dom.js',
+    'utils/fleet.js',
+    'utils/history.js',
+    'utils/i18n.js',
+    'utils/mock.js',
+    'utils/offline.js',
+    'utils/router.js',
+    'utils/schema.js',
+    'utils/stats.js',
+    'utils/store.js',
+    'utils/template.js',
+    'pages/car.html',
+    'pages/create.html',
+    'pages/home.html',
+    'pages/import.html',
+    'pages/not-found.html',
+    'pages/search.html',
+    'pages/settings.html',
+    'pages/stats.html',
+    'scripts/car.js',
+    'scripts/create.js',
+    'scripts/home.js',
+    'scripts/import.js',
+    'scripts/search.js',
+    'scripts/settings.js',
+    'styles/cars.css',
+    'styles/nav.css',
+    'styles/style.css',
+    'icons/plus.svg',
+    'icons/taxi-front.svg',
+];
+
+/**
+ * Pre-caches the app shell.
+ */
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then((cache) => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+/**
+ * Drops the caches of older versions.
+ */
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys
+                .filter((key) => key.startsWith('taxi-shell-') && key !== SHELL_CACHE)
+                .map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Answers a page load while offline.
+ * The app root gets the cached `index.html`. Deeper paths such as `/car/3` are
+ * redirected to the root with the path in `?route=`, like `404.html` does,
+ * because `index.html` references its assets relative to the root.
+ *
+ * @param {Request} request - Navigation request.
+ * @returns {Promise<Response>}
+ */
+const offlineNavigation = async (request) => {
+    const url = new URL(request.url);
+    const scope = new URL(self.registration.scope);
+    const route = url.pathname.slice(scope.pathname.length).replace(/^index\.html$/, '');
+
+    if (route) {
+        return Response.redirect(`${scope.href}?route=${encodeURIComponent(`/${route}${url.search}`)}`, 302);
+    }
+
+    return (await caches.match('index.html', { ignoreSearch: true })) || Response.error();
+};
+
+/**
+ * Serves a shell file from the cache and refreshes the cached copy from the network.
+ *
+ * @param {Request} request - Same-origin GET request.
+ * @returns {Promise<Response>}
+ */
+const staleWhileRevalidate = async (request) => {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then((response) => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(fetch(request).catch(() => offlineNavigation(request)));
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(request));
+});
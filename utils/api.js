@@ -1,8 +1,331 @@
-const baseURL = "https://iit-playground.arondev.hu/api/FJYXPC/";
+/**
+ * API Module
+ * A thin client around `fetch` for the car backend.
+ *
+ * Features:
+ * - Configurable base URL, default headers, timeout and retries (`api.configure`)
+ * - JSON helpers `api.get/post/put/delete` that resolve with parsed data
+ * - Timeouts through AbortController
+ * - Retry with exponential backoff for idempotent requests
+ * - `ApiError` carrying status, server message and field errors
+ * - Request/response interceptors for logging or auth in one place
+ *
+ * Usage:
+ *
+ * ```js
+ * try {
+ *   const car = await api.get(`car/${id}`);
+ *   await api.put('car', { ...car, owner: 'Anna' });
+ * } catch (error) {
+ *   if (error instanceof ApiError && error.status === 404) { ... }
+ * }
+ * ```
+ */
+
+/**
+ * Client configuration, changed through `api.configure`.
+ * `baseURL` is set by `Credentials` from the saved Neptun code.
+ * `transport` replaces `fetch` for sending requests, e.g. with the mock backend.
+ * @type {{baseURL: string, headers: Object.<string, string>, timeout: number, retries: number, retryDelay: number, transport: ((url: string, init: RequestInit) => Promise<Response>)|null}}
+ */
+const apiConfig = {
+    baseURL: '',
+    headers: { Accept: 'application/json' },
+    timeout: 10000,
+    retries: 2,
+    retryDelay: 300,
+    transport: null,
+};
+
+/**
+ * Registered interceptors, run in registration order.
+ * @type {{request: Function[], response: Function[]}}
+ */
+const apiInterceptors = {
+    request: [],
+    response: [],
+};
+
+/**
+ * Methods that are safe to send more than once.
+ * @type {Set<string>}
+ */
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+/**
+ * Statuses worth retrying: the server may answer differently a moment later.
+ * @type {Set<number>}
+ */
+const RETRYABLE_STATUSES = new Set([408, 429, 502, 503, 504]);
 
 /**
- * @param {RequestInfo | URL} url 
- * @param {RequestInit} params 
+ * Message keys (see `I18n`) of fallback messages for errors the server did not describe.
+ * @type {Object.<number, string>}
+ */
+const DEFAULT_ERROR_MESSAGES = {
+    0: 'api.connection',
+    400: 'api.badRequest',
+    401: 'api.unauthorized',
+    404: 'api.notFound',
+};
+
+/**
+ * Error thrown by the JSON helpers for failed requests.
+ * `status` is `0` when no response arrived (network error or timeout).
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Server message, or a default for the status.
+     * @param {{status: number, data?: *, fieldErrors?: Object.<string, string>, timeout?: boolean, cause?: *}} details
+     */
+    constructor(message, { status, data = null, fieldErrors = {}, timeout = false, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ApiError';
+        /** @type {number} HTTP status, `0` without a response. */
+        this.status = status;
+        /** @type {*} Parsed response body, if any. */
+        this.data = data;
+        /** @type {Object.<string, string>} Messages per field, from the server's validation errors. */
+        this.fieldErrors = fieldErrors;
+        /** @type {boolean} Whether the request timed out. */
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Resolves a path against the configured base URL. Absolute URLs are kept as they are.
+ *
+ * @param {string|URL} url - Path relative to the API, or an absolute URL.
+ * @returns {string} Absolute request URL.
+ */
+const resolveApiUrl = (url) => (/^https?:\/\//.test(String(url)) ? String(url) : apiConfig.baseURL + url);
+
+/**
+ * Waits for the given time.
+ * @param {number} ms - Milliseconds to wait.
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Reads a response body as JSON, falling back to text for other content.
+ *
+ * @param {Response} response - Response to read.
+ * @returns {Promise<*>} Parsed body, `null` when empty.
+ */
+const readBody = async (response) => {
+    const text = await response.clone().text();
+    if (!text) return null;
+
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+};
+
+/**
+ * Extracts per-field messages from a validation error body.
+ * Accepts `{ errors: { field: message } }` and `{ errors: [{ field, message }] }`.
+ *
+ * @param {*} data - Parsed error body.
+ * @returns {Object.<string, string>} Messages per field.
+ */
+const parseFieldErrors = (data) => {
+    const errors = data && typeof data === 'object' ? data.errors : null;
+    if (!errors) return {};
+
+    if (Array.isArray(errors)) {
+        return Object.fromEntries(errors
+            .filter((e) => e && e.field)
+            .map((e) => [e.field, e.message || String(e)]));
+    }
+
+    if (typeof errors === 'object') {
+        return Object.fromEntries(Object.entries(errors)
+            .map(([field, message]) => [field, Array.isArray(message) ? message.join(' ') : String(message)]));
+    }
+
+    return {};
+};
+
+/**
+ * Builds an `ApiError` from a failed response.
+ *
+ * @param {Response} response - Response with a non-2xx status.
+ * @returns {Promise<ApiError>}
+ */
+const errorFromResponse = async (response) => {
+    const data = await readBody(response);
+    const serverMessage = data && typeof data === 'object' ? data.message : null;
+    const message = serverMessage || t(DEFAULT_ERROR_MESSAGES[response.status] || 'common.unexpectedError');
+
+    return new ApiError(message, {
+        status: response.status,
+        data,
+        fieldErrors: parseFieldErrors(data),
+    });
+};
+
+/**
+ * Sends a single request with a timeout. A caller-provided `signal` still aborts it.
+ *
+ * @param {{url: string, method: string, headers: Object.<string, string>, signal?: AbortSignal, timeout: number}} config
  * @returns {Promise<Response>}
+ * @throws {ApiError} With `timeout: true` when the timeout elapsed.
+ * @throws {DOMException} `AbortError` when the caller aborted.
+ */
+const sendOnce = async ({ url, timeout, signal, ...init }) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    const timer = setTimeout(() => controller.abort(new DOMException('Timeout', 'TimeoutError')), timeout);
+
+    if (signal) {
+        if (signal.aborted) onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+        const requestInit = { ...init, signal: controller.signal };
+        return await (apiConfig.transport ? apiConfig.transport(url, requestInit) : fetch(url, requestInit));
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        if (controller.signal.aborted) {
+            throw new ApiError(t('api.timeout'), { status: 0, timeout: true, cause: error });
+        }
+        throw new ApiError(t(DEFAULT_ERROR_MESSAGES[0]), { status: 0, cause: error });
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+};
+
+/**
+ * Sends a request through the interceptors, with timeout and retries.
+ * Resolves with the raw `Response` for any HTTP status.
+ *
+ * Idempotent methods are retried on network errors, timeouts and
+ * transient statuses, waiting `retryDelay * 2^attempt` between attempts.
+ *
+ * @param {RequestInfo | URL} url - Path relative to the API, or an absolute URL.
+ * @param {RequestInit & {timeout?: number, retries?: number}} [params={}] - Fetch options and overrides.
+ * @returns {Promise<Response>}
+ * @throws {ApiError} When no response arrived after all attempts.
+ */
+const api = async (url, params = {}) => {
+    let config = {
+        ...params,
+        path: String(url),
+        url: resolveApiUrl(url),
+        method: (params.method || 'GET').toUpperCase(),
+        headers: { ...apiConfig.headers, ...params.headers },
+        timeout: params.timeout ?? apiConfig.timeout,
+        retries: params.retries ?? apiConfig.retries,
+    };
+
+    for (const interceptor of apiInterceptors.request) {
+        config = (await interceptor(config)) || config;
+    }
+
+    const { retries, path, ...requestConfig } = config;
+    const attempts = IDEMPOTENT_METHODS.has(config.method) ? retries + 1 : 1;
+    let response;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        if (attempt > 0) await wait(apiConfig.retryDelay * 2 ** (attempt - 1));
+
+        try {
+            response = await sendOnce(requestConfig);
+        } catch (error) {
+            if (!(error instanceof ApiError) || attempt === attempts - 1) throw error;
+            continue;
+        }
+
+        if (!RETRYABLE_STATUSES.has(response.status)) break;
+    }
+
+    for (const interceptor of apiInterceptors.response) {
+        response = (await interceptor(response, config)) || response;
+    }
+
+    return response;
+};
+
+/**
+ * Sends a JSON request and resolves with the parsed response body.
+ *
+ * @param {string} method - HTTP method.
+ * @param {string} url - Path relative to the API, or an absolute URL.
+ * @param {*} [body] - Value sent as JSON, omitted when `undefined`.
+ * @param {RequestInit & {timeout?: number, retries?: number}} [params={}] - Extra fetch options.
+ * @returns {Promise<*>} Parsed response body.
+ * @throws {ApiError} For non-2xx responses, network errors and timeouts.
+ */
+const requestJson = async (method, url, body, params = {}) => {
+    const headers = { ...params.headers };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await api(url, {
+        ...params,
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    if (!response.ok) throw await errorFromResponse(response);
+    return readBody(response);
+};
+
+/**
+ * Updates the client configuration.
+ *
+ * @param {{baseURL?: string, headers?: Object.<string, string>, timeout?: number, retries?: number, retryDelay?: number, transport?: Function|null}} options
  */
-const api = (url, params) => fetch(baseURL + url, params);
\ No newline at end of file
+const configureApi = (options = {}) => {
+    const { headers, ...rest } = options;
+    Object.assign(apiConfig, rest);
+    if (headers) apiConfig.headers = { ...apiConfig.headers, ...headers };
+};
+
+/**
+ * Registers a request interceptor. It receives the request config
+ * (`url`, `path`, `method`, `headers`, `body`, ...) and may return a replacement.
+ *
+ * @param {(config: object) => object|void|Promise<object|void>} interceptor
+ * @returns {() => void} Function that removes the interceptor.
+ */
+const onRequest = (interceptor) => {
+    apiInterceptors.request.push(interceptor);
+    return () => {
+        const index = apiInterceptors.request.indexOf(interceptor);
+        if (index !== -1) apiInterceptors.request.splice(index, 1);
+    };
+};
+
+/**
+ * Registers a response interceptor. It receives every response, successful or not,
+ * with the request config and may return a replacement response.
+ * `config.path` holds the URL as passed to `api`, so a retry through `api(config.path, ...)`
+ * picks up a changed `baseURL`.
+ *
+ * @param {(response: Response, config: object) => Response|void|Promise<Response|void>} interceptor
+ * @returns {() => void} Function that removes the interceptor.
+ */
+const onResponse = (interceptor) => {
+    apiInterceptors.response.push(interceptor);
+    return () => {
+        const index = apiInterceptors.response.indexOf(interceptor);
+        if (index !== -1) apiInterceptors.response.splice(index, 1);
+    };
+};
+
+api.get = (url, params) => requestJson('GET', url, undefined, params);
+api.post = (url, body, params) => requestJson('POST', url, body, params);
+api.put = (url, body, params) => requestJson('PUT', url, body, params);
+api.delete = (url, params) => requestJson('DELETE', url, undefined, params);
+api.configure = configureApi;
+api.onRequest = onRequest;
+api.onResponse = onResponse;
+api.config = apiConfig;
+
+window.ApiError = ApiError;
@@ -0,0 +1,220 @@
+/**
+ * Car List Module
+ * Filtering, sorting and pagination of the home car list.
+ *
+ * The list state lives in the URL query, so filtered views can be bookmarked
+ * and survive back/forward navigation:
+ *
+ * `/?brand=Toyota&electric=no&owner=anna&from=2018-01-01&to=2022-12-31&sort=fuelUse&dir=desc&p=2`
+ *
+ * Usage:
+ *
+ * ```js
+ * const query = CarList.parse(Router.getParams());
+ * const { items, pagination } = CarList.apply(cars, query);
+ * Router.navigate({ page: 'home', ...CarList.toParams({ ...query, p: 2 }) });
+ * ```
+ */
+
+/**
+ * Cars shown per page.
+ * @type {number}
+ */
+const CAR_LIST_PAGE_SIZE = 12;
+
+/**
+ * Fields the list can be sorted by, in menu order. Their labels are the `sort.<field>` messages.
+ * @type {string[]}
+ */
+const CAR_LIST_SORT_FIELDS = ['id', 'brand', 'model', 'electric', 'fuelUse', 'dayOfCommission', 'owner'];
+
+/**
+ * @typedef {Object} CarListQuery
+ * @property {string} brand - Exact brand, empty for all.
+ * @property {''|'yes'|'no'} electric - Electric cars only, non-electric only, or both.
+ * @property {string} owner - Text the owner's name must contain.
+ * @property {string} from - Earliest commission date (`YYYY-MM-DD`), inclusive.
+ * @property {string} to - Latest commission date (`YYYY-MM-DD`), inclusive.
+ * @property {string} sort - Field to sort by, see `CAR_LIST_SORT_FIELDS`.
+ * @property {'asc'|'desc'} dir - Sort direction.
+ * @property {number} p - Page number, starting at 1.
+ */
+
+/**
+ * Query of the unfiltered list. Values equal to these are left out of the URL.
+ * @type {CarListQuery}
+ */
+const CAR_LIST_DEFAULTS = {
+    brand: '',
+    electric: '',
+    owner: '',
+    from: '',
+    to: '',
+    sort: 'id',
+    dir: 'asc',
+    p: 1,
+};
+
+/**
+ * Reads the list query from route params, dropping invalid values.
+ *
+ * @param {Object.<string, string>} params - Route params.
+ * @returns {CarListQuery}
+ */
+const parseCarListQuery = (params = {}) => {
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+    const page = parseInt(params.p, 10);
+
+    return {
+        brand: (params.brand || '').trim(),
+        electric: ['yes', 'no'].includes(params.electric) ? params.electric : '',
+        owner: (params.owner || '').trim(),
+        from: isDate(params.from) ? params.from : '',
+        to: isDate(params.to) ? params.to : '',
+        sort: CAR_LIST_SORT_FIELDS.includes(params.sort) ? params.sort : CAR_LIST_DEFAULTS.sort,
+        dir: params.dir === 'desc' ? 'desc' : 'asc',
+        p: page > 0 ? page : 1,
+    };
+};
+
+/**
+ * Turns a list query into route params for `Router.navigate`.
+ * Default values become `null`, so they are removed from the URL.
+ *
+ * @param {CarListQuery} query - List query.
+ * @returns {Object.<string, string|null>}
+ */
+const carListQueryToParams = (query) => Object.fromEntries(
+    Object.keys(CAR_LIST_DEFAULTS).map((key) => [
+        key,
+        query[key] === undefined || String(query[key]) === String(CAR_LIST_DEFAULTS[key]) ? null : String(query[key]),
+    ])
+);
+
+/**
+ * Whether the query narrows the list down.
+ * @param {CarListQuery} query - List query.
+ * @returns {boolean}
+ */
+const isFilteredQuery = (query) => ['brand', 'electric', 'owner', 'from', 'to']
+    .some((key) => query[key] !== CAR_LIST_DEFAULTS[key]);
+
+/**
+ * Whether a car passes the filters of a query.
+ *
+ * @param {object} car - Car to test.
+ * @param {CarListQuery} query - List query.
+ * @returns {boolean}
+ */
+const matchesCarListQuery = (car, query) => {
+    if (query.brand && String(car.brand || '').toLowerCase() !== query.brand.toLowerCase()) return false;
+    if (query.electric && Boolean(car.electric) !== (query.electric === 'yes')) return false;
+    if (query.owner && !String(car.owner || '').toLowerCase().includes(query.owner.toLowerCase())) return false;
+
+    const day = car.dayOfCommission ? String(car.dayOfCommission).slice(0, 10) : '';
+    if ((query.from || query.to) && !day) return false;
+    if (query.from && day < query.from) return false;
+    if (query.to && day > query.to) return false;
+
+    return true;
+};
+
+/**
+ * Compares two cars by a field. Missing values sort last in either direction.
+ *
+ * @param {object} a - First car.
+ * @param {object} b - Second car.
+ * @param {string} field - Field to compare.
+ * @param {'asc'|'desc'} dir - Sort direction.
+ * @returns {number}
+ */
+const compareCars = (a, b, field, dir) => {
+    const x = a[field];
+    const y = b[field];
+    const xMissing = x === null || x === undefined || x === '';
+    const yMissing = y === null || y === undefined || y === '';
+
+    if (xMissing || yMissing) return xMissing - yMissing;
+
+    const order = typeof x === 'number' && typeof y === 'number'
+        ? x - y
+        : String(x).localeCompare(String(y), undefined, { numeric: true, sensitivity: 'base' });
+
+    return dir === 'desc' ? -order : order;
+};
+
+/**
+ * @typedef {Object} CarListPagination
+ * @property {number} page - Current page, clamped to the available pages.
+ * @property {number} pages - Number of pages, at least 1.
+ * @property {number} total - Number of cars matching the filters.
+ * @property {number} first - Position of the first car shown, 0 when none.
+ * @property {number} last - Position of the last car shown.
+ * @property {number|null} prev - Previous page, `null` on the first one.
+ * @property {number|null} next - Next page, `null` on the last one.
+ */
+
+/**
+ * Filters and sorts a car list, without paginating it.
+ *
+ * @param {object[]} cars - All cars.
+ * @param {CarListQuery} query - List query.
+ * @returns {object[]} All matching cars, in order.
+ */
+const filterCarList = (cars, query) => cars
+    .filter((car) => matchesCarListQuery(car, query))
+    .sort((a, b) => compareCars(a, b, query.sort, query.dir));
+
+/**
+ * Filters, sorts and paginates a car list.
+ *
+ * @param {object[]} cars - All cars.
+ * @param {CarListQuery} query - List query.
+ * @returns {{items: object[], pagination: CarListPagination}} Cars of the current page.
+ */
+const applyCarListQuery = (cars, query) => {
+    const matching = filterCarList(cars, query);
+
+    const total = matching.length;
+    const pages = Math.max(1, Math.ceil(total / CAR_LIST_PAGE_SIZE));
+    const page = Math.min(query.p, pages);
+    const start = (page - 1) * CAR_LIST_PAGE_SIZE;
+    const items = matching.slice(start, start + CAR_LIST_PAGE_SIZE);
+
+    return {
+        items,
+        pagination: {
+            page,
+            pages,
+            total,
+            first: total ? start + 1 : 0,
+            last: start + items.length,
+            prev: page > 1 ? page - 1 : null,
+            next: page < pages ? page + 1 : null,
+        },
+    };
+};
+
+/**
+ * Global car list API.
+ *
+ * @namespace
+ * @property {number} pageSize - Cars shown per page.
+ * @property {string[]} sortFields - Sortable fields, in menu order.
+ * @property {CarListQuery} defaults - Query of the unfiltered list.
+ * @property {Function} parse - Reads the list query from route params.
+ * @property {Function} toParams - Turns a list query into route params.
+ * @property {Function} isFiltered - Whether a query narrows the list down.
+ * @property {Function} filter - Filters and sorts a car list.
+ * @property {Function} apply - Filters, sorts and paginates a car list.
+ */
+window.CarList = {
+    pageSize: CAR_LIST_PAGE_SIZE,
+    sortFields: CAR_LIST_SORT_FIELDS,
+    defaults: CAR_LIST_DEFAULTS,
+    parse: parseCarListQuery,
+    toParams: carListQueryToParams,
+    isFiltered: isFilteredQuery,
+    filter: filterCarList,
+    apply: applyCarListQuery,
+};
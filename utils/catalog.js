@@ -0,0 +1,179 @@
+/**
+ * Car Catalog Module
+ * Brand suggestions and the models the server knows per brand.
+ *
+ * Usage:
+ *
+ * ```js
+ * CarCatalog.suggestBrands('merc');              // ['Mercedes-Benz']
+ * const models = await CarCatalog.models('Toyota', { signal });
+ * CarCatalog.attachModelPicker(form, { signal }); // brand select + model suggestions
+ * ```
+ */
+
+/**
+ * Models already fetched, keyed by lowercased brand.
+ * @type {Map<string, string[]>}
+ */
+const catalogModels = new Map();
+
+/**
+ * Lowercases a string and strips diacritics, so "citroen" finds "Citroën".
+ * @param {string} text - Text to normalize.
+ * @returns {string}
+ */
+const foldText = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+/**
+ * Scores how well a query matches a candidate, higher is better.
+ * Prefix matches beat word-prefix matches, which beat substrings,
+ * which beat the query's letters appearing in order.
+ *
+ * @param {string} query - Folded query.
+ * @param {string} candidate - Folded candidate.
+ * @returns {number} Score, `0` when the candidate does not match.
+ */
+const fuzzyScore = (query, candidate) => {
+    if (!query) return 1;
+    if (candidate === query) return 100;
+    if (candidate.startsWith(query)) return 80 - candidate.length / 100;
+    if (candidate.split(/[\s-]+/).some((word) => word.startsWith(query))) return 60;
+
+    const index = candidate.indexOf(query);
+    if (index !== -1) return 40 - index;
+
+    let position = 0;
+    let gaps = 0;
+    for (const char of query) {
+        const next = candidate.indexOf(char, position);
+        if (next === -1) return 0;
+        gaps += next - position;
+        position = next + 1;
+    }
+    return Math.max(1, 20 - gaps);
+};
+
+/**
+ * Suggests brands for what was typed so far, best matches first.
+ *
+ * @param {string} text - Typed text.
+ * @param {number} [limit=8] - Maximum number of suggestions.
+ * @returns {string[]} Matching brands from `CarSchema.brands`.
+ */
+const suggestBrands = (text, limit = 8) => {
+    const query = foldText(text);
+    if (!query) return [];
+
+    return CarSchema.brands
+        .map((brand) => ({ brand, score: fuzzyScore(query, foldText(brand)) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ brand }) => brand);
+};
+
+/**
+ * Finds the brand a text names exactly, ignoring case and diacritics.
+ * @param {string} text - Typed text.
+ * @returns {string|null} The brand as spelled in `CarSchema.brands`, or `null`.
+ */
+const findBrand = (text) => CarSchema.brands.find((brand) => foldText(brand) === foldText(text)) ?? null;
+
+/**
+ * Fetches the models of a brand from `available-models`, which lives next to
+ * the configured API base (`.../api/available-models`). Results are cached
+ * for the session; failed lookups are not.
+ *
+ * @param {string} brand - Brand to look up.
+ * @param {{signal?: AbortSignal}} [options={}] - Aborts the request.
+ * @returns {Promise<string[]>} Model names.
+ * @throws {ApiError} When the lookup failed.
+ */
+const fetchModels = async (brand, { signal } = {}) => {
+    const key = foldText(brand);
+    if (catalogModels.has(key)) return catalogModels.get(key);
+
+    const url = new URL('../available-models', api.config.baseURL);
+    url.searchParams.set('brand', brand);
+
+    const data = await api.get(url.href, { signal });
+    const models = Array.isArray(data) ? data.map(String) : [];
+    catalogModels.set(key, models);
+    return models;
+};
+
+/**
+ * Links the `brand` select and `model` input of a form:
+ * - fills the select with `CarSchema.brands`, selecting its `data-value`
+ *   (a brand outside the list is kept as an extra option, so it is not lost);
+ * - fills the model input's `<datalist>` with the models of the chosen brand.
+ *   The list only suggests; any model can still be typed.
+ *
+ * Changing the brand clears a model that was picked from the previous brand's list
+ * and the new one does not offer. Typed models that no list offered are kept.
+ *
+ * @param {HTMLFormElement} form - Form holding the pickers.
+ * @param {{signal?: AbortSignal}} [options={}] - Stops model lookups, e.g. once the page is left.
+ */
+const attachModelPicker = (form, { signal } = {}) => {
+    const brandSelect = form.elements.namedItem('brand');
+    const modelInput = form.elements.namedItem('model');
+    const datalist = modelInput.list;
+    let lookup = null;
+    let offered = [];
+
+    const selected = brandSelect.dataset.value ?? brandSelect.value;
+    const brands = CarSchema.brands.includes(selected) || !selected
+        ? CarSchema.brands
+        : [selected, ...CarSchema.brands];
+
+    brandSelect.append(...brands.map((brand) => new Option(brand, brand, brand === selected, brand === selected)));
+    brandSelect.value = findBrand(selected) ?? selected;
+
+    const loadModels = async (brandChanged) => {
+        lookup?.abort();
+        lookup = new AbortController();
+        const lookupSignal = lookup.signal;
+
+        const previous = brandChanged ? offered : [];
+        offered = [];
+        datalist.replaceChildren();
+        if (!brandSelect.value) return;
+
+        modelInput.setAttribute('aria-busy', 'true');
+        try {
+            const models = await fetchModels(brandSelect.value, { signal: lookupSignal });
+            if (lookupSignal.aborted) return;
+
+            offered = models;
+            datalist.replaceChildren(...models.map((model) => new Option(model, model)));
+            if (previous.includes(modelInput.value) && !models.includes(modelInput.value)) {
+                modelInput.value = '';
+            }
+        } catch (error) {
+            if (!lookupSignal.aborted) console.warn('Could not load models', error);
+        } finally {
+            if (!lookupSignal.aborted) modelInput.removeAttribute('aria-busy');
+        }
+    };
+
+    brandSelect.addEventListener('change', () => loadModels(true), { signal });
+    signal?.addEventListener('abort', () => lookup?.abort(), { once: true });
+    loadModels(false);
+};
+
+/**
+ * Global car catalog API.
+ *
+ * @namespace
+ * @property {Function} suggestBrands - Suggests brands for typed text.
+ * @property {Function} findBrand - Finds the brand a text names exactly.
+ * @property {Function} models - Fetches the models of a brand, cached.
+ * @property {Function} attachModelPicker - Links the brand and model fields of a form.
+ */
+window.CarCatalog = {
+    suggestBrands,
+    findBrand,
+    models: fetchModels,
+    attachModelPicker,
+};
@@ -0,0 +1,175 @@
+/**
+ * Charts Module
+ * Dependency-free SVG charts, returned as markup for `{{{raw}}}` template slots.
+ *
+ * Every segment may carry `link` route params. Linked segments are rendered as
+ * `<a data-link>` elements with a real `href`, so clicking them navigates
+ * through the Router like any other `data-link`, and they also open in a new tab.
+ *
+ * Usage:
+ *
+ * ```js
+ * const svg = Charts.donut([
+ *   { label: 'Electric', value: 3, link: { page: 'home', electric: 'yes' } },
+ *   { label: 'Combustion', value: 9, link: { page: 'home', electric: 'no' } },
+ * ], { title: 'Drive' });
+ * ```
+ */
+
+/**
+ * Colors given to segments in order.
+ * @type {string[]}
+ */
+const CHART_COLORS = ['#4e79a7', '#f28e2b', '#59a14f', '#e15759', '#76b7b2', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+
+/**
+ * @typedef {Object} ChartSegment
+ * @property {string} label - Segment label.
+ * @property {number} value - Segment value.
+ * @property {string} [color] - Fill color, defaults to the palette.
+ * @property {Object.<string, string>} [link] - Route params navigated to on click.
+ */
+
+/**
+ * Sequence for unique ids within the document.
+ * @type {number}
+ */
+let chartId = 0;
+
+/**
+ * Formats a number for labels, in the current language.
+ * @param {number} value - Number to format.
+ * @param {number} [digits=0] - Fraction digits.
+ * @returns {string}
+ */
+const formatChartNumber = (value, digits = 0) => I18n.formatNumber(value, digits);
+
+/**
+ * Wraps segment markup in a `data-link` anchor when the segment has a link.
+ *
+ * @param {ChartSegment} segment - Segment.
+ * @param {string} markup - Shapes of the segment.
+ * @param {string} description - Accessible description, e.g. `Toyota: 4`.
+ * @returns {string}
+ */
+const linkSegment = (segment, markup, description) => {
+    const tooltip = `<title>${escapeHtml(description)}</title>`;
+    if (!segment.link) return `<g class="chart-segment">${tooltip}${markup}</g>`;
+
+    const { page = 'home', ...params } = segment.link;
+    const dataAttributes = Object.entries({ page: page === 'home' ? '' : page, ...params })
+        .map(([key, value]) => `${DOM.linkAttribute(key)}="${escapeHtml(value)}"`)
+        .join(' ');
+
+    return `<a class="chart-segment chart-link" href="${escapeHtml(Router.href(segment.link))}" data-link ${dataAttributes} aria-label="${escapeHtml(description)}">${tooltip}${markup}</a>`;
+};
+
+/**
+ * Renders the frame shared by all charts: an accessible `<svg>` with a title.
+ *
+ * @param {string} title - Chart title.
+ * @param {number} width - View box width.
+ * @param {number} height - View box height.
+ * @param {string} body - Chart markup.
+ * @returns {string}
+ */
+const chartFrame = (title, width, height, body) => {
+    const id = `chart-${++chartId}`;
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-labelledby="${id}" xmlns="http://www.w3.org/2000/svg">`
+        + `<title id="${id}">${escapeHtml(title)}</title>${body}</svg>`;
+};
+
+/**
+ * Renders a donut chart with a legend.
+ *
+ * @param {ChartSegment[]} segments - Segments, zero values are skipped.
+ * @param {{title?: string}} [options={}] - Chart title.
+ * @returns {string} SVG markup.
+ */
+const donutChart = (segments, { title = '' } = {}) => {
+    const visible = segments.filter((s) => s.value > 0);
+    const total = visible.reduce((sum, s) => sum + s.value, 0);
+    const [cx, cy, radius, thickness] = [90, 90, 80, 32];
+    const legendX = 200;
+    const height = Math.max(180, visible.length * 24 + 20);
+
+    if (!total) return chartFrame(title, 360, 60, `<text x="0" y="30" class="chart-empty">${escapeHtml(t('chart.noData'))}</text>`);
+
+    let angle = -Math.PI / 2;
+    const point = (a, r) => `${(cx + r * Math.cos(a)).toFixed(2)} ${(cy + r * Math.sin(a)).toFixed(2)}`;
+    const inner = radius - thickness;
+
+    const body = visible.map((segment, i) => {
+        const color = segment.color || CHART_COLORS[i % CHART_COLORS.length];
+        const share = segment.value / total;
+        const description = `${segment.label}: ${formatChartNumber(segment.value)} (${formatChartNumber(share * 100)}%)`;
+
+        let shape;
+        if (share === 1) {
+            const r = radius - thickness / 2;
+            shape = `<circle cx="${cx}" cy="${cy}" r="${r}" fill="none" stroke="${color}" stroke-width="${thickness}"/>`;
+        } else {
+            const start = angle;
+            const end = angle + share * 2 * Math.PI;
+            const large = share > 0.5 ? 1 : 0;
+            shape = `<path fill="${color}" d="M ${point(start, radius)} A ${radius} ${radius} 0 ${large} 1 ${point(end, radius)}`
+                + ` L ${point(end, inner)} A ${inner} ${inner} 0 ${large} 0 ${point(start, inner)} Z"/>`;
+            angle = end;
+        }
+
+        const y = 20 + i * 24;
+        const legend = `<rect x="${legendX}" y="${y - 11}" width="14" height="14" rx="3" fill="${color}"/>`
+            + `<text x="${legendX + 22}" y="${y}">${escapeHtml(description)}</text>`;
+
+        return linkSegment(segment, shape + legend, description);
+    }).join('');
+
+    const center = `<text x="${cx}" y="${cy + 6}" text-anchor="middle" class="chart-total">${formatChartNumber(total)}</text>`;
+    return chartFrame(title, 460, height, body + center);
+};
+
+/**
+ * Renders a horizontal bar chart, one labelled bar per segment.
+ *
+ * @param {ChartSegment[]} segments - Bars, in display order.
+ * @param {{title?: string, digits?: number, unit?: string}} [options={}] - Chart title,
+ * fraction digits and unit of the value labels.
+ * @returns {string} SVG markup.
+ */
+const barChart = (segments, { title = '', digits = 0, unit = '' } = {}) => {
+    if (!segments.length) return chartFrame(title, 360, 60, `<text x="0" y="30" class="chart-empty">${escapeHtml(t('chart.noData'))}</text>`);
+
+    const max = Math.max(...segments.map((s) => s.value), 0) || 1;
+    const [labelWidth, barWidth, rowHeight] = [140, 240, 28];
+    const width = labelWidth + barWidth + 80;
+
+    const body = segments.map((segment, i) => {
+        const color = segment.color || CHART_COLORS[i % CHART_COLORS.length];
+        const y = i * rowHeight;
+        const length = Math.max(2, (segment.value / max) * barWidth);
+        const value = `${formatChartNumber(segment.value, digits)}${unit}`;
+        const description = `${segment.label}: ${value}`;
+
+        const shapes = `<text x="${labelWidth - 8}" y="${y + 18}" text-anchor="end">${escapeHtml(segment.label)}</text>`
+            + `<rect x="${labelWidth}" y="${y + 5}" width="${length.toFixed(2)}" height="${rowHeight - 10}" rx="3" fill="${color}"/>`
+            + `<text x="${labelWidth + length + 6}" y="${y + 18}">${escapeHtml(value)}</text>`;
+
+        return linkSegment(segment, shapes, description);
+    }).join('');
+
+    return chartFrame(title, width, segments.length * rowHeight, body);
+};
+
+/**
+ * Global charts API.
+ *
+ * @namespace
+ * @property {string[]} colors - Default segment colors.
+ * @property {Function} donut - Renders a donut chart.
+ * @property {Function} bars - Renders a horizontal bar chart.
+ */
+window.Charts = {
+    colors: CHART_COLORS,
+    donut: donutChart,
+    bars: barChart,
+};
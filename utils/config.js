@@ -0,0 +1,25 @@
+/**
+ * App configuration, the single place to switch environment-dependent behaviour.
+ *
+ * `backend` selects where API calls go:
+ * - `'remote'`: the iit-playground server.
+ * - `'mock'`: the in-browser mock backend from `utils/mock.js`.
+ *
+ * The choice is kept in localStorage, so it can be flipped from the console:
+ * `localStorage.setItem('taxi:backend', 'mock'); location.reload();`
+ *
+ * `version` identifies the deployed build. The router keys its persistent page
+ * cache with it, so bump it together with `CACHE_VERSION` in `sw.js` on every release.
+ *
+ * @type {{backend: 'remote'|'mock', version: string}}
+ */
+const appConfig = {
+    backend: localStorage.getItem('taxi:backend') === 'mock' ? 'mock' : 'remote',
+    version: 'v17',
+};
+
+/**
+ * Global app configuration.
+ * @namespace
+ */
+window.AppConfig = appConfig;
@@ -0,0 +1,198 @@
+/**
+ * Credentials Module
+ * The Neptun code that scopes every API request, and recovery from a rejected one.
+ *
+ * The server keeps a separate car list per course code: requests go to
+ * `<API_ROOT><code>/...`. The code is kept in localStorage and changed on the
+ * settings page; until then the team's default code is used.
+ *
+ * When the server answers 401, a prompt asks for a working code, checks it
+ * against the server, saves it and sends the failed request again. Requests that
+ * fail meanwhile wait for the same prompt. Cancelling it lets the 401 through.
+ *
+ * Usage:
+ *
+ * ```js
+ * const error = await Credentials.check('ABC123'); // null when the server accepts it
+ * Credentials.set('ABC123');                        // later requests use the new code
+ * api.get('car', { reauthenticate: false });        // a 401 is not recovered
+ * ```
+ */
+
+/**
+ * Root of the API, followed by the Neptun code.
+ * @type {string}
+ */
+const API_ROOT = 'https://iit-playground.arondev.hu/api/';
+
+/**
+ * Code used until one is saved.
+ * @type {string}
+ */
+const DEFAULT_NEPTUN_CODE = 'FJYXPC';
+
+/**
+ * Shape of a Neptun code: six letters or digits.
+ * @type {RegExp}
+ */
+const NEPTUN_CODE_PATTERN = /^[A-Z0-9]{6}$/;
+
+/**
+ * localStorage key of the saved code.
+ * @type {string}
+ */
+const NEPTUN_CODE_STORAGE_KEY = 'taxi:neptun-code';
+
+/**
+ * Listeners notified when the code changes.
+ * @type {Set<Function>}
+ */
+const credentialListeners = new Set();
+
+/**
+ * Prompt asking for a new code, shared by every request that failed with 401 meanwhile.
+ * @type {Promise<string|null>|null}
+ */
+let pendingCodePrompt = null;
+
+/**
+ * Normalizes user input into a code: trimmed and upper case.
+ * @param {string} value - Entered code.
+ * @returns {string}
+ */
+const normalizeNeptunCode = (value) => String(value ?? '').trim().toUpperCase();
+
+/**
+ * Returns the code in use: the saved one, else the default.
+ * @returns {string}
+ */
+const currentNeptunCode = () => {
+    const saved = localStorage.getItem(NEPTUN_CODE_STORAGE_KEY);
+    return saved && NEPTUN_CODE_PATTERN.test(saved) ? saved : DEFAULT_NEPTUN_CODE;
+};
+
+/**
+ * Base URL of the API for a code.
+ * @param {string} code - Neptun code.
+ * @returns {string}
+ */
+const apiBaseUrl = (code) => `${API_ROOT}${code}/`;
+
+/**
+ * Checks a code: its shape first, then whether the server accepts it.
+ *
+ * @param {string} value - Entered code.
+ * @param {{signal?: AbortSignal}} [options={}] - Aborts the request.
+ * @returns {Promise<string|null>} Message describing the problem, `null` when the code works.
+ */
+const checkNeptunCode = async (value, { signal } = {}) => {
+    const code = normalizeNeptunCode(value);
+    if (!code) return t('settings.codeRequired');
+    if (!NEPTUN_CODE_PATTERN.test(code)) return t('settings.codeFormat');
+
+    try {
+        await api.get(`${apiBaseUrl(code)}car`, { signal, retries: 0, reauthenticate: false });
+        return null;
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        if (error instanceof ApiError && error.status === 401) return t('settings.codeRejected');
+        return error instanceof ApiError
+            ? t('settings.codeUnchecked', { message: error.message })
+            : t('common.unexpectedError');
+    }
+};
+
+/**
+ * Saves a code and points the API client at it. Listeners are told when it changed.
+ *
+ * @param {string} value - Code, checked beforehand with `checkNeptunCode`.
+ * @throws {Error} When the code does not look like a Neptun code.
+ */
+const setNeptunCode = (value) => {
+    const code = normalizeNeptunCode(value);
+    if (!NEPTUN_CODE_PATTERN.test(code)) throw new Error(`Invalid Neptun code: ${value}`);
+
+    const previous = currentNeptunCode();
+    localStorage.setItem(NEPTUN_CODE_STORAGE_KEY, code);
+    api.configure({ baseURL: apiBaseUrl(code) });
+    if (code === previous) return;
+
+    credentialListeners.forEach((listener) => {
+        try {
+            listener(code);
+        } catch (err) {
+            console.error('Credentials listener failed', err);
+        }
+    });
+};
+
+/**
+ * Subscribes to code changes.
+ *
+ * @param {(code: string) => void} listener - Called with the new code.
+ * @returns {() => void} Function that unsubscribes the listener.
+ */
+const subscribeCredentials = (listener) => {
+    credentialListeners.add(listener);
+    return () => credentialListeners.delete(listener);
+};
+
+/**
+ * Asks for a working code after a 401 and saves it. Concurrent callers share one prompt.
+ * @returns {Promise<string|null>} The new code, or `null` when the prompt was cancelled.
+ */
+const requestNeptunCode = () => {
+    pendingCodePrompt ??= DOM.prompt(t('auth.message'), {
+        title: t('auth.title'),
+        label: t('settings.code'),
+        value: currentNeptunCode(),
+        confirmLabel: t('auth.retry'),
+        attributes: { autocomplete: 'off', autocapitalize: 'characters', spellcheck: 'false', maxlength: '6' },
+        validate: (value) => checkNeptunCode(value),
+    })
+        .then((value) => {
+            if (value === null) return null;
+            setNeptunCode(value);
+            return currentNeptunCode();
+        })
+        .finally(() => {
+            pendingCodePrompt = null;
+        });
+
+    return pendingCodePrompt;
+};
+
+/**
+ * Recovers requests rejected with 401: once a working code was entered,
+ * the request is sent again against it. Pass `reauthenticate: false` to `api`
+ * to get the 401 as it is.
+ */
+api.onResponse(async (response, config) => {
+    if (response.status !== 401 || config.reauthenticate === false) return;
+
+    const code = await requestNeptunCode();
+    if (!code) return;
+
+    const { url, path, ...params } = config;
+    return api(path, { ...params, reauthenticate: false });
+});
+
+api.configure({ baseURL: apiBaseUrl(currentNeptunCode()) });
+
+/**
+ * Global credentials API.
+ *
+ * @namespace
+ * @property {Function} code - Returns the Neptun code in use.
+ * @property {Function} check - Checks a code with the server.
+ * @property {Function} set - Saves a code and uses it for later requests.
+ * @property {Function} request - Prompts for a new code.
+ * @property {Function} subscribe - Subscribes to code changes.
+ */
+window.Credentials = {
+    code: currentNeptunCode,
+    check: checkNeptunCode,
+    set: setNeptunCode,
+    request: requestNeptunCode,
+    subscribe: subscribeCredentials,
+};
@@ -0,0 +1,296 @@
+/**
+ * Deletions Module
+ * Deletes cars with an undo window.
+ *
+ * A scheduled deletion hides the car from the lists right away, but the
+ * `DELETE car/:id` is only sent once the window expires. Undoing within the
+ * window just cancels it; undoing after the request went out recreates the car
+ * with the same field values through `POST car` (it gets a new id).
+ * Both requests go through `CarStore`, so every page sees the change.
+ *
+ * Usage:
+ *
+ * ```js
+ * Deletions.schedule(car, { label: 'Toyota Corolla' }); // shows an "Undo" toast
+ * const visible = Deletions.hide(cars);                  // lists skip scheduled cars
+ * ```
+ *
+ * Closing or reloading the tab within the window cannot wait for `CarStore`:
+ * the deletions still scheduled are sent with a `keepalive` request and also
+ * written to localStorage, and sent again through `Offline` on the next start
+ * in case that request did not get out.
+ */
+
+/**
+ * How long a deletion can be undone before it is sent, in milliseconds.
+ * @type {number}
+ */
+const UNDO_DELAY = 6000;
+
+/**
+ * localStorage key of the deletions left unsent when the page was closed.
+ * @type {string}
+ */
+const UNSENT_DELETIONS_KEY = 'taxi:unsent-deletions';
+
+/**
+ * @typedef {Object} ScheduledDeletion
+ * @property {object} car - Field values of the car, used to recreate it.
+ * @property {string} label - Name of the car in messages.
+ * @property {'scheduled'|'sending'|'sent'|'restored'} state - Progress of the deletion.
+ * @property {number} [timer] - Timer that sends the deletion.
+ * @property {Promise<void>} [request] - Settles once the `DELETE` was sent or queued.
+ * @property {() => void} [closeToast] - Closes the undo toast.
+ */
+
+/**
+ * Deletions whose `DELETE` has not completed yet, by car id. Their cars are hidden from the lists.
+ * @type {Map<string, ScheduledDeletion>}
+ */
+const scheduledDeletions = new Map();
+
+/**
+ * Renders the current page again when it lists cars, so it reflects a deletion or its undo.
+ */
+const refreshCarLists = () => {
+    if (['home', 'stats'].includes(Router.getParams().page)) Router.refresh();
+};
+
+/**
+ * Sends a scheduled deletion. A rejected deletion brings the car back.
+ *
+ * @param {string} id - Car id.
+ * @returns {Promise<void>}
+ */
+const sendDeletion = (id) => {
+    const deletion = scheduledDeletions.get(id);
+    if (!deletion || deletion.state !== 'scheduled') return deletion?.request ?? Promise.resolve();
+
+    clearTimeout(deletion.timer);
+    deletion.state = 'sending';
+
+    deletion.request = CarStore.remove(id)
+        .then(({ queued }) => {
+            deletion.state = 'sent';
+            scheduledDeletions.delete(id);
+            if (queued) DOM.toast(t('deletion.queued'), { type: 'info' });
+        })
+        .catch((error) => {
+            console.error('Error:', error);
+            scheduledDeletions.delete(id);
+            deletion.state = 'restored';
+            deletion.closeToast?.();
+            DOM.toast(error instanceof ApiError ? t('deletion.failed', { message: error.message }) : t('deletion.failedRetry'), { type: 'error' });
+            refreshCarLists();
+        });
+
+    return deletion.request;
+};
+
+/**
+ * Undoes a deletion: cancels it while it is still scheduled, otherwise
+ * waits for the `DELETE` to finish and recreates the car.
+ *
+ * @param {string} id - Car id.
+ * @param {ScheduledDeletion} deletion - Deletion to undo.
+ * @returns {Promise<void>}
+ */
+const undoDeletion = async (id, deletion) => {
+    if (deletion.state === 'restored') return;
+
+    if (deletion.state === 'scheduled') {
+        clearTimeout(deletion.timer);
+        deletion.state = 'restored';
+        scheduledDeletions.delete(id);
+        DOM.toast(t('deletion.restored', { name: deletion.label }), { type: 'success' });
+        refreshCarLists();
+        return;
+    }
+
+    await deletion.request;
+    if (deletion.state !== 'sent') return; // the deletion failed, the car is back already
+    deletion.state = 'restored';
+
+    const fields = { ...deletion.car };
+    delete fields.id;
+
+    try {
+        const { queued } = await CarStore.create(fields);
+        DOM.toast(t(queued ? 'deletion.restoredOffline' : 'deletion.restored', { name: deletion.label }), { type: queued ? 'info' : 'success' });
+    } catch (error) {
+        console.error('Error:', error);
+        DOM.toast(error instanceof ApiError ? t('deletion.restoreFailed', { message: error.message }) : t('deletion.restoreFailedRetry'), { type: 'error' });
+    }
+    refreshCarLists();
+};
+
+/**
+ * Hides a car and deletes it once the undo window expires.
+ * An "Undo" toast is shown for the length of the window.
+ *
+ * @param {object} car - Car to delete, with its id and field values.
+ * @param {{label?: string}} [options={}] - Name of the car in messages.
+ */
+const scheduleDeletion = (car, { label = t('car.theCar') } = {}) => {
+    const id = String(car.id);
+    if (scheduledDeletions.has(id)) return;
+
+    const deletion = { car, label, state: 'scheduled' };
+    scheduledDeletions.set(id, deletion);
+
+    deletion.timer = setTimeout(() => sendDeletion(id), UNDO_DELAY);
+    deletion.closeToast = DOM.toast(t('deletion.deleted', { name: label }), {
+        type: 'success',
+        duration: UNDO_DELAY,
+        action: { label: t('deletion.undo'), onClick: () => undoDeletion(id, deletion) },
+    });
+};
+
+/**
+ * Whether a car is waiting for its undo window to expire.
+ * @param {string|number} id - Car id.
+ * @returns {boolean}
+ */
+const isDeletionScheduled = (id) => scheduledDeletions.has(String(id));
+
+/**
+ * Leaves out cars whose deletion is scheduled.
+ * @param {object[]} cars - Car list.
+ * @returns {object[]}
+ */
+const hideScheduledDeletions = (cars) => cars.filter((car) => !isDeletionScheduled(car.id));
+
+/**
+ * Sends every scheduled deletion right away.
+ * @returns {Promise<void>}
+ */
+const flushDeletions = () => Promise.all([...scheduledDeletions.keys()].map(sendDeletion)).then(() => {});
+
+/**
+ * Reads the deletions left unsent by an earlier page.
+ * @returns {{id: string, car: object, label: string}[]}
+ */
+const readUnsentDeletions = () => {
+    try {
+        const entries = JSON.parse(localStorage.getItem(UNSENT_DELETIONS_KEY));
+        return Array.isArray(entries) ? entries : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * Writes the deletions left unsent, removing the key once there are none.
+ * @param {{id: string, car: object, label: string}[]} entries - Unsent deletions.
+ */
+const writeUnsentDeletions = (entries) => {
+    try {
+        if (entries.length) {
+            localStorage.setItem(UNSENT_DELETIONS_KEY, JSON.stringify(entries));
+        } else {
+            localStorage.removeItem(UNSENT_DELETIONS_KEY);
+        }
+    } catch (err) {
+        console.warn('Could not store unsent deletions', err);
+    }
+};
+
+/**
+ * Sends the deletions still scheduled while the page is being unloaded. Nothing
+ * asynchronous runs to completion at that point, so every step here is synchronous:
+ * the deletions are written to localStorage for the next start, logged in
+ * `CarHistory`, and sent with a `keepalive` request that outlives the page.
+ */
+const sendDeletionsOnUnload = () => {
+    const unsent = [...scheduledDeletions.entries()].filter(([, deletion]) => deletion.state === 'scheduled');
+    if (!unsent.length) return;
+
+    writeUnsentDeletions([
+        ...readUnsentDeletions(),
+        ...unsent.map(([id, { car, label }]) => ({ id, car, label })),
+    ]);
+
+    unsent.forEach(([id, deletion]) => {
+        clearTimeout(deletion.timer);
+        deletion.state = 'sent';
+        deletion.request = Promise.resolve();
+        scheduledDeletions.delete(id);
+        CarHistory.record({ type: 'delete', carId: id, before: deletion.car });
+
+        // The mock backend lives in the page, it gets the deletion on the next start
+        if (api.config.transport) return;
+        fetch(api.config.baseURL + `car/${id}`, {
+            method: 'DELETE',
+            headers: api.config.headers,
+            keepalive: true,
+        }).catch(() => {});
+    });
+};
+
+/**
+ * Sends the deletions an earlier page left unsent, through `Offline` so they are
+ * queued without a connection. A car the server no longer has was deleted by the
+ * `keepalive` request already. The cars stay hidden until their deletion is done.
+ *
+ * @returns {Promise<void>}
+ */
+const resumeUnsentDeletions = async () => {
+    const entries = readUnsentDeletions();
+    if (!entries.length) return;
+
+    entries.forEach(({ id, car, label }) => {
+        scheduledDeletions.set(id, { car, label, state: 'sending' });
+    });
+
+    for (const { id } of entries) {
+        try {
+            await Offline.send('DELETE', `car/${id}`);
+        } catch (error) {
+            if (!(error instanceof ApiError && error.status === 404)) console.error('Error:', error);
+        }
+
+        const deletion = scheduledDeletions.get(id);
+        if (deletion?.state === 'sending') {
+            deletion.state = 'sent';
+            scheduledDeletions.delete(id);
+        }
+        writeUnsentDeletions(readUnsentDeletions().filter((entry) => entry.id !== id));
+    }
+
+    CarStore.invalidate();
+};
+
+/**
+ * Sends scheduled deletions once the page is closed, reloaded or navigated away
+ * from, as their window would never expire otherwise. Merely switching tabs keeps
+ * the window running, so an undo there still just cancels the deletion.
+ */
+window.addEventListener('pagehide', sendDeletionsOnUnload);
+
+/**
+ * A page restored from the back-forward cache sent its deletions on `pagehide`;
+ * they are confirmed like on a fresh start.
+ */
+window.addEventListener('pageshow', (e) => {
+    if (e.persisted) resumeUnsentDeletions().catch((err) => console.error('Unsent deletions failed', err));
+});
+
+resumeUnsentDeletions().catch((err) => console.error('Unsent deletions failed', err));
+
+/**
+ * Global deletions API.
+ *
+ * @namespace
+ * @property {number} undoDelay - Length of the undo window in milliseconds.
+ * @property {Function} schedule - Hides a car and deletes it after the undo window.
+ * @property {Function} isScheduled - Whether a car's deletion is scheduled.
+ * @property {Function} hide - Leaves out cars whose deletion is scheduled.
+ * @property {Function} flush - Sends every scheduled deletion right away.
+ */
+window.Deletions = {
+    undoDelay: UNDO_DELAY,
+    schedule: scheduleDeletion,
+    isScheduled: isDeletionScheduled,
+    hide: hideScheduledDeletions,
+    flush: flushDeletions,
+};
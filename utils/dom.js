@@ -1,25 +1,104 @@
+/**
+ * `data-*` attributes of a `data-link` element that are not route parameters:
+ * the marker itself and the `data-i18n` translation keys.
+ * @type {RegExp}
+ */
+const NON_PARAM_ATTRIBUTE = /^data-(link|i18n(-.*)?)$/;
+
+/**
+ * Extracts the route parameters of a `data-link` element from its
+ * `data-*` attributes. Multi-word names are camel-cased like `dataset` does,
+ * so `data-commission-date` becomes `commissionDate`.
+ * 
+ * @param {Element} target - Element with the `data-link` attribute.
+ * @returns {Object.<string, string>} Target `page` and its parameters.
+ */
+const linkParams = (target) => {
+    const params = {};
+    for (const attr of target.attributes) {
+        if (attr.name.startsWith("data-") && !NON_PARAM_ATTRIBUTE.test(attr.name)) {
+            const name = attr.name.slice(5).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+            params[name] = attr.value;
+        }
+    }
+    return params;
+};
+
+/**
+ * Returns the `data-*` attribute name carrying a route parameter, the
+ * reverse of `linkParams`: `commissionDate` becomes `data-commission-date`.
+ * 
+ * @param {string} param - Route parameter name.
+ * @returns {string} Attribute name.
+ */
+const linkAttribute = (param) => `data-${param.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`;
+
+/**
+ * Whether the browser should handle a link click itself: clicks with a
+ * modifier key or a button other than the primary one, and links meant for
+ * another window or for download. Links with an `href` then open in a new tab.
+ * 
+ * @param {MouseEvent} e - Click event.
+ * @param {Element} target - Clicked `data-link` element.
+ * @returns {boolean}
+ */
+const isBrowserClick = (e, target) => e.button !== 0
+    || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey
+    || (target.hasAttribute('target') && target.getAttribute('target') !== '_self')
+    || target.hasAttribute('download');
+
 /**
  * Handles all internal link clicks with `data-link` attribute.
- * Extracts custom query parameters from `data-*` attributes (excluding `data-link` and `href`)
+ * Extracts the route parameters from `data-*` attributes
  * and uses the Router to navigate without full page reload.
+ * Links should also carry the matching `href` (see `Router.href`), so that
+ * modifier-key clicks, middle-clicks and "open in new tab" work; those are
+ * left to the browser.
  * 
  * Example:
- * <a data-link data-page="about" data-id="123">About</a>
+ * <a href="/car/123" data-link data-page="car" data-id="123">Edit</a>
  */
 document.addEventListener('click', (e) => {
     const target = e.target.closest("[data-link]");
-    if (!target) return;
+    if (!target || e.defaultPrevented) return;
+    if (target.matches('a[href]') && isBrowserClick(e, target)) return;
 
     e.preventDefault();
+    Router.navigate(linkParams(target));
+});
 
-    const params = {};
-    for (const attr of target.attributes) {
-        if (attr.name !== 'href' && attr.name !== 'data-link' && attr.name.startsWith("data-")) {
-            params[attr.name.split("-")[1]] = attr.value;
-        }
-    }
+/**
+ * Prefetches the target of a `data-link` once it is hovered or focused,
+ * so the click that usually follows renders without waiting for the network.
+ * Moving between the link's own children does not prefetch again.
+ * 
+ * @param {MouseEvent|FocusEvent} e - Hover or focus event.
+ */
+const prefetchLink = (e) => {
+    const target = e.target.closest?.("[data-link]");
+    if (!target || target.contains(e.relatedTarget)) return;
 
-    Router.navigate(params);
+    Router.prefetch(linkParams(target));
+};
+
+document.addEventListener('mouseover', prefetchLink);
+document.addEventListener('focusin', prefetchLink);
+
+/**
+ * Makes `data-link` elements other than links and buttons keyboard-operable:
+ * Enter (and Space for `role="button"`) activates them like a click.
+ * Such elements also need `tabindex="0"` and a `role` in the markup to be reachable.
+ */
+document.addEventListener('keydown', (e) => {
+    const target = e.target.closest?.("[data-link]");
+    if (!target || target !== e.target || e.defaultPrevented) return;
+    if (target.matches('a[href], button, input, select, textarea')) return;
+
+    const isButton = target.getAttribute('role') === 'button';
+    if (e.key === 'Enter' || (isButton && e.key === ' ')) {
+        e.preventDefault();
+        target.click();
+    }
 });
 
 /**
@@ -40,33 +119,20 @@ const escapeHtml = (unsafe) => {
 
 /**
  * Injects dynamic parameters into an HTML template string.
- * Supports basic templating syntax:
+ * Values are escaped with `escapeHtml` unless written as `{{{ key }}}`.
+ * 
+ * - `{{ key }}`, `{{ owner.name }}` — inserts the escaped value of the given path.
+ * - `{{#if key}}...{{else}}...{{/if}}`, `{{#unless key}}...{{/unless}}` — conditional content.
+ * - `{{#each list}}...{{else}}...{{/each}}` — iterates, with `this`, `@index` and nesting support.
+ * - `{{date dayOfCommission}}`, `{{number fuelUse 1}}` — registered helpers.
  * 
- * - `{{ key }}` — inserts the escaped value of the given key.
- * - `{{#if key}}...{{/if}}` — conditionally renders content if key exists and is truthy.
- * - `{{#each list}}...{{/each}}` — iterates over arrays; supports one level of nesting.
+ * See `utils/template.js` for the full syntax.
  * 
  * @param {string} html - The raw HTML template string.
  * @param {object} [params={}] - Key-value map of parameters to inject.
  * @returns {string} The final HTML string with injected and escaped content.
  */
-const inject = (html, params = {}) => {
-    html = html.replace(/{{#each\s+(\w+)}}([\s\S]*?){{\/each}}/g, (_, key, content) => {
-        const arr = params[key];
-        if (!Array.isArray(arr)) return '';
-        return arr.map(item => inject(content, item)).join('');
-    });
-
-    html = html.replace(/{{#if\s+(\w+)}}([\s\S]*?){{\/if}}/g, (_, key, content) => {
-        return params[key] ? content : '';
-    });
-
-    html = html.replace(/{{\s*(\w+)\s*}}/g, (_, key) => {
-        return params[key] !== undefined ? escapeHtml(params[key]) : '';
-    });
-
-    return html;
-};
+const inject = (html, params = {}) => Template.render(html, params);
 
 /**
  * Renders raw HTML into a specified DOM element.
@@ -79,7 +145,177 @@ const render = (root, html) => {
 };
 
 /**
- * Displays an error message inside a DOM element.
+ * Returns the reconciliation key of a node, taken from its `data-key` attribute.
+ * 
+ * @param {Node} node - Node to inspect.
+ * @returns {string|null} The key, or `null` for unkeyed nodes.
+ */
+const nodeKey = (node) => (node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-key') : null);
+
+/**
+ * Whether an existing node can be updated in place to match a new one.
+ * 
+ * @param {Node} current - Node in the document.
+ * @param {Node} next - Node from the new markup.
+ * @returns {boolean}
+ */
+const isSameNode = (current, next) =>
+    current.nodeType === next.nodeType &&
+    current.nodeName === next.nodeName &&
+    nodeKey(current) === nodeKey(next);
+
+/**
+ * Copies attributes from the new element onto the existing one.
+ * Form controls only get their live `value` / `checked` state overwritten
+ * when the markup for it changed, so user input survives unrelated updates.
+ * 
+ * @param {Element} current - Element in the document.
+ * @param {Element} next - Element from the new markup.
+ */
+const patchAttributes = (current, next) => {
+    for (const { name } of [...current.attributes]) {
+        if (!next.hasAttribute(name)) {
+            current.removeAttribute(name);
+            if (name === 'checked') current.checked = false;
+        }
+    }
+
+    for (const { name, value } of next.attributes) {
+        if (current.getAttribute(name) === value) continue;
+
+        current.setAttribute(name, value);
+        if (name === 'value') current.value = value;
+        if (name === 'checked') current.checked = true;
+    }
+};
+
+/**
+ * Updates an existing node in place to match a new one.
+ * 
+ * @param {Node} current - Node in the document.
+ * @param {Node} next - Node from the new markup.
+ */
+const patchNode = (current, next) => {
+    if (current.nodeType !== Node.ELEMENT_NODE) {
+        if (current.nodeValue !== next.nodeValue) current.nodeValue = next.nodeValue;
+        return;
+    }
+
+    patchAttributes(current, next);
+
+    if (current.nodeName === 'TEXTAREA') {
+        if (current.defaultValue !== next.defaultValue) current.value = next.defaultValue;
+        return;
+    }
+
+    patchChildren(current, next);
+};
+
+/**
+ * Reconciles the children of `parent` with those of `next`.
+ * Keyed children (`data-key`) are matched by key wherever they are and moved into place,
+ * unkeyed children are matched by position, and leftovers are removed.
+ * 
+ * @param {Node} parent - Node in the document whose children are updated.
+ * @param {Node} next - Node holding the new children; they are moved out of it.
+ */
+const patchChildren = (parent, next) => {
+    const keyed = new Map();
+    for (const child of parent.childNodes) {
+        const key = nodeKey(child);
+        if (key !== null) keyed.set(key, child);
+    }
+
+    let cursor = parent.firstChild;
+
+    for (const child of [...next.childNodes]) {
+        const key = nodeKey(child);
+        let match = null;
+
+        if (key !== null) {
+            match = keyed.get(key) || null;
+            keyed.delete(key);
+            if (match && match.nodeName !== child.nodeName) match = null;
+        } else if (cursor && isSameNode(cursor, child)) {
+            match = cursor;
+        }
+
+        if (!match) {
+            parent.insertBefore(child, cursor);
+            continue;
+        }
+
+        if (match === cursor) {
+            cursor = cursor.nextSibling;
+        } else {
+            parent.insertBefore(match, cursor);
+        }
+        patchNode(match, child);
+    }
+
+    while (cursor) {
+        const stale = cursor;
+        cursor = cursor.nextSibling;
+        parent.removeChild(stale);
+    }
+};
+
+/**
+ * Renders HTML into a DOM element by patching its current content
+ * instead of replacing it, so focus, scroll position and input state survive.
+ * Give list items a `data-key` (e.g. `data-key="{{id}}"`) to update, move
+ * and remove them individually.
+ * 
+ * @param {HTMLElement} root - The target element to patch.
+ * @param {string} html - The new HTML content.
+ */
+const patch = (root, html) => {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    patchChildren(root, template.content);
+};
+
+/**
+ * Returns a visually hidden live region for announcements, creating it on first use.
+ * 
+ * @param {boolean} assertive - Whether the region interrupts the screen reader.
+ * @returns {HTMLElement}
+ */
+const announcer = (assertive) => {
+    const id = assertive ? 'announcer-assertive' : 'announcer-polite';
+    let region = document.getElementById(id);
+    if (!region) {
+        region = document.createElement('div');
+        region.id = id;
+        region.className = 'visually-hidden';
+        region.setAttribute('aria-live', assertive ? 'assertive' : 'polite');
+        region.setAttribute('aria-atomic', 'true');
+        document.body.append(region);
+    }
+    return region;
+};
+
+/**
+ * Announces a message to screen readers without showing it.
+ * 
+ * Example:
+ * DOM.announce('Search loaded');
+ * DOM.announce('Error while loading cars', { assertive: true });
+ * 
+ * @param {string} message - Text to announce.
+ * @param {{assertive?: boolean}} [options={}] - Interrupt the current speech, for errors.
+ */
+const announce = (message, { assertive = false } = {}) => {
+    const region = announcer(assertive);
+    region.textContent = '';
+    // Set in a later task, so a repeated message is announced again
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
+};
+
+/**
+ * Displays an error message inside a DOM element and announces it.
  * The message is escaped to prevent XSS vulnerabilities.
  * 
  * @param {HTMLElement} root - The element where the error should be shown.
@@ -87,8 +323,410 @@ const render = (root, html) => {
  */
 const renderError = (root, error) => {
     root.innerHTML = `<p class="error">${escapeHtml(error)}</p>`;
+    announce(error, { assertive: true });
+};
+
+/**
+ * Adds an id to, or removes it from, the `aria-describedby` list of an element,
+ * keeping the descriptions it already had (e.g. a hint below the input).
+ * 
+ * @param {Element} element - Described element.
+ * @param {string} id - Id of the describing element.
+ * @param {boolean} described - Whether the id should be listed.
+ */
+const toggleDescribedBy = (element, id, described) => {
+    const ids = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter((token) => token && token !== id);
+    if (described) ids.push(id);
+
+    if (ids.length) {
+        element.setAttribute('aria-describedby', ids.join(' '));
+    } else {
+        element.removeAttribute('aria-describedby');
+    }
+};
+
+/**
+ * Removes the messages added by `showFieldErrors` from a form.
+ * 
+ * @param {HTMLFormElement} form - Form to clear.
+ */
+const clearFieldErrors = (form) => {
+    const errorIds = [...form.querySelectorAll('.field-error[id]')].map((el) => el.id);
+    form.querySelectorAll('.field-error, .form-error').forEach((el) => el.remove());
+    form.querySelectorAll('[aria-invalid]').forEach((input) => {
+        input.removeAttribute('aria-invalid');
+        errorIds.forEach((id) => toggleDescribedBy(input, id, false));
+    });
+};
+
+/**
+ * Shows validation messages inline, below the inputs inside their `.form-group`.
+ * Inputs are found by `name`. Messages for fields without an input, or under the
+ * `_form` key, are listed at the top of the form. Focuses the first invalid input.
+ * 
+ * @param {HTMLFormElement} form - Form holding the inputs.
+ * @param {Object.<string, string>} errors - Messages keyed by field name.
+ * @param {Object.<string, string>} [aliases={}] - Input names for fields that share an input.
+ */
+const showFieldErrors = (form, errors, aliases = {}) => {
+    clearFieldErrors(form);
+
+    const formErrors = [];
+    let firstInvalid = null;
+
+    for (const [field, message] of Object.entries(errors)) {
+        const name = aliases[field] || field;
+        const input = form.querySelector(`[name="${name}"]`);
+        const group = input?.closest('.form-group');
+
+        if (!group) {
+            formErrors.push(message);
+            continue;
+        }
+
+        const errorId = `${name}-error`;
+        let error = group.querySelector('.field-error');
+        if (error) {
+            error.textContent += ` ${message}`;
+        } else {
+            error = document.createElement('p');
+            error.className = 'field-error';
+            error.id = errorId;
+            error.textContent = message;
+            group.append(error);
+        }
+
+        input.setAttribute('aria-invalid', 'true');
+        toggleDescribedBy(input, errorId, true);
+        firstInvalid ??= input;
+    }
+
+    if (formErrors.length) {
+        const error = document.createElement('p');
+        error.className = 'form-error';
+        error.setAttribute('role', 'alert');
+        error.textContent = formErrors.join(' ');
+        form.prepend(error);
+    }
+
+    firstInvalid?.focus();
+};
+
+/**
+ * How long toasts stay visible by type, in milliseconds. `0` keeps them until closed.
+ * @type {Object.<string, number>}
+ */
+const TOAST_DURATIONS = {
+    success: 4000,
+    info: 5000,
+    error: 8000,
+};
+
+/**
+ * Most toasts shown at once; the oldest ones make room for new ones.
+ * @type {number}
+ */
+const MAX_TOASTS = 4;
+
+/**
+ * Returns the region toasts are stacked in, creating it on first use.
+ * Screen readers announce toasts added to it.
+ * 
+ * @returns {HTMLElement}
+ */
+const toastRegion = () => {
+    let region = document.querySelector('.toast-region');
+    if (!region) {
+        region = document.createElement('div');
+        region.className = 'toast-region';
+        region.setAttribute('aria-live', 'polite');
+        document.body.append(region);
+    }
+    return region;
+};
+
+/**
+ * Shows a non-blocking notification. Toasts stack, disappear after a while
+ * and can be closed earlier. Error toasts are announced immediately.
+ * An optional action adds a button, e.g. "Undo", that closes the toast when pressed.
+ * 
+ * Example:
+ * DOM.toast('Car saved', { type: 'success' });
+ * DOM.toast('Car deleted', { action: { label: 'Undo', onClick: restore } });
+ * 
+ * @param {string} message - Text to show.
+ * @param {{type?: 'success'|'error'|'info', duration?: number, action?: {label: string, onClick: Function}}} [options={}]
+ * Toast type, how long it stays in milliseconds (defaults per type, `0` until closed), and its action.
+ * @returns {() => void} Function that closes the toast.
+ */
+const toast = (message, { type = 'info', duration = TOAST_DURATIONS[type] ?? TOAST_DURATIONS.info, action } = {}) => {
+    const region = toastRegion();
+
+    const element = document.createElement('div');
+    element.className = `toast toast-${type}`;
+    element.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+    const text = document.createElement('p');
+    text.className = 'toast-message';
+    text.textContent = message;
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'toast-close';
+    closeButton.setAttribute('aria-label', t('toast.close'));
+    closeButton.textContent = '×';
+
+    let timer;
+    const close = () => {
+        clearTimeout(timer);
+        element.remove();
+    };
+
+    closeButton.onclick = close;
+    if (duration > 0) timer = setTimeout(close, duration);
+
+    element.append(text);
+
+    if (action) {
+        const actionButton = document.createElement('button');
+        actionButton.type = 'button';
+        actionButton.className = 'toast-action';
+        actionButton.textContent = action.label;
+        actionButton.onclick = () => {
+            close();
+            action.onClick();
+        };
+        element.append(actionButton);
+    }
+
+    element.append(closeButton);
+    region.append(element);
+
+    while (region.children.length > MAX_TOASTS) {
+        region.firstElementChild.remove();
+    }
+
+    return close;
+};
+
+/**
+ * Elements that can take focus inside a dialog.
+ * @type {string}
+ */
+const FOCUSABLE = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Number of dialogs opened so far, for unique element ids.
+ * @type {number}
+ */
+let dialogCount = 0;
+
+/**
+ * @typedef {Object} DialogAction
+ * @property {string} label - Button text.
+ * @property {*} value - Value the dialog resolves with when the button is pressed.
+ * @property {'primary'|'danger'|'secondary'} [variant='secondary'] - Button style.
+ * @property {boolean} [autofocus] - Focus this button when the dialog opens.
+ */
+
+/**
+ * Shows a modal over a backdrop until it is closed.
+ * 
+ * The modal traps focus while open, closes with Esc or a click on the backdrop
+ * (with `cancelValue`) and returns focus to where it was.
+ * 
+ * @param {string} html - Markup of the `.modal` element.
+ * @param {{cancelValue?: *, onClose: (value: *) => void}} options - Value for Esc and
+ * backdrop clicks, and the callback receiving the value the modal closed with.
+ * @returns {{modal: HTMLElement, close: (value: *) => void}} The modal element and
+ * a function that closes it; closing twice does nothing.
+ */
+const openModal = (html, { cancelValue = null, onClose }) => {
+    const previousFocus = document.activeElement;
+    let closed = false;
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    backdrop.innerHTML = html;
+
+    const modal = backdrop.querySelector('.modal');
+
+    const close = (value) => {
+        if (closed) return;
+        closed = true;
+        document.removeEventListener('keydown', onKeyDown, true);
+        backdrop.remove();
+        if (previousFocus && document.contains(previousFocus)) previousFocus.focus();
+        onClose(value);
+    };
+
+    const onKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            close(cancelValue);
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = [...modal.querySelectorAll(FOCUSABLE)];
+        if (!focusable.length) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || !modal.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !modal.contains(document.activeElement))) {
+            e.preventDefault();
+            first.focus();
+        }
+    };
+
+    backdrop.addEventListener('click', (e) => {
+        if (e.target === backdrop) close(cancelValue);
+    });
+
+    document.addEventListener('keydown', onKeyDown, true);
+    document.body.append(backdrop);
+
+    return { modal, close };
 };
 
+/**
+ * Opens a modal dialog and resolves once it is closed.
+ * 
+ * The dialog traps focus while open, closes with Esc or a click on the backdrop
+ * (resolving with `cancelValue`) and returns focus to where it was.
+ * 
+ * @param {{title: string, message?: string, actions?: DialogAction[], cancelValue?: *}} options
+ * @returns {Promise<*>} Value of the pressed action, or `cancelValue`.
+ */
+const dialog = ({ title, message = '', actions = [{ label: t('common.ok'), value: true, variant: 'primary' }], cancelValue = null }) =>
+    new Promise((resolve) => {
+        const id = `dialog-${++dialogCount}`;
+
+        const { modal, close } = openModal(`
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="${id}-title" aria-describedby="${id}-message">
+                <h2 class="modal-title" id="${id}-title">${escapeHtml(title)}</h2>
+                <p class="modal-message" id="${id}-message">${escapeHtml(message)}</p>
+                <div class="modal-actions">
+                    ${actions.map((action, i) => `<button type="button" class="modal-button modal-button-${action.variant || 'secondary'}" data-action="${i}">${escapeHtml(action.label)}</button>`).join('')}
+                </div>
+            </div>`, { cancelValue, onClose: resolve });
+
+        modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) close(actions[Number(button.dataset.action)].value);
+        });
+
+        const autofocus = actions.findIndex((action) => action.autofocus);
+        modal.querySelectorAll('[data-action]')[autofocus === -1 ? 0 : autofocus].focus();
+    });
+
+/**
+ * Asks for a single value in a modal dialog with a text input.
+ * 
+ * `validate` runs on submit and may be async, e.g. to check the value with the server.
+ * While it runs the buttons are disabled; a returned message is shown below the input
+ * and keeps the dialog open. Esc and Cancel still close it.
+ * 
+ * Example:
+ * const code = await DOM.prompt('Enter your code', { title: 'Sign in', label: 'Code', validate: (v) => v ? null : 'Required' });
+ * 
+ * @param {string} message - Explanation shown above the input.
+ * @param {{title: string, label: string, value?: string, confirmLabel?: string, cancelLabel?: string,
+ * attributes?: Object.<string, string>, validate?: (value: string) => string|null|Promise<string|null>}} options
+ * Dialog title, input label and initial value, button texts, extra input attributes
+ * (e.g. `autocomplete`), and the check of the entered value.
+ * @returns {Promise<string|null>} The accepted value, or `null` when cancelled.
+ */
+const promptDialog = (message, {
+    title,
+    label,
+    value = '',
+    confirmLabel = t('common.ok'),
+    cancelLabel = t('common.cancel'),
+    attributes = {},
+    validate = () => null,
+} = {}) =>
+    new Promise((resolve) => {
+        const id = `dialog-${++dialogCount}`;
+        const extra = Object.entries(attributes)
+            .map(([name, attrValue]) => ` ${escapeHtml(name)}="${escapeHtml(attrValue)}"`)
+            .join('');
+
+        const { modal, close } = openModal(`
+            <form class="modal" role="dialog" aria-modal="true" aria-labelledby="${id}-title" aria-describedby="${id}-message" novalidate>
+                <h2 class="modal-title" id="${id}-title">${escapeHtml(title)}</h2>
+                <p class="modal-message" id="${id}-message">${escapeHtml(message)}</p>
+                <div class="form-group">
+                    <label for="${id}-input">${escapeHtml(label)}</label>
+                    <input type="text" id="${id}-input" name="value" class="input-field" value="${escapeHtml(value)}"${extra}>
+                </div>
+                <div class="modal-actions">
+                    <button type="button" class="modal-button modal-button-secondary" data-cancel>${escapeHtml(cancelLabel)}</button>
+                    <button type="submit" class="modal-button modal-button-primary">${escapeHtml(confirmLabel)}</button>
+                </div>
+            </form>`, { cancelValue: null, onClose: resolve });
+
+        const input = modal.querySelector('input');
+        const buttons = modal.querySelectorAll('button');
+
+        modal.querySelector('[data-cancel]').onclick = () => close(null);
+
+        modal.onsubmit = async (e) => {
+            e.preventDefault();
+            buttons.forEach((button) => { button.disabled = true; });
+            modal.setAttribute('aria-busy', 'true');
+
+            let error;
+            try {
+                error = await validate(input.value);
+            } catch (err) {
+                console.error('Prompt validation failed', err);
+                error = t('common.unexpectedError');
+            }
+
+            modal.removeAttribute('aria-busy');
+            buttons.forEach((button) => { button.disabled = false; });
+
+            if (error) {
+                showFieldErrors(modal, { value: error });
+            } else {
+                close(input.value);
+            }
+        };
+
+        input.focus();
+        input.select();
+    });
+
+/**
+ * Asks for confirmation in a modal dialog.
+ * 
+ * Example:
+ * if (await DOM.confirm('Delete this car?', { confirmLabel: 'Delete', danger: true })) { ... }
+ * 
+ * @param {string} message - Question to ask.
+ * @param {{title?: string, confirmLabel?: string, cancelLabel?: string, danger?: boolean}} [options={}]
+ * Dialog title, button texts, and whether confirming is destructive.
+ * @returns {Promise<boolean>} Whether the user confirmed. Esc and Cancel resolve with `false`.
+ */
+const confirmDialog = (message, { title = t('dialog.confirmTitle'), confirmLabel = t('common.ok'), cancelLabel = t('common.cancel'), danger = false } = {}) =>
+    dialog({
+        title,
+        message,
+        cancelValue: false,
+        actions: [
+            // Destructive actions start on Cancel, so a stray Enter does not confirm them
+            { label: cancelLabel, value: false, autofocus: danger },
+            { label: confirmLabel, value: true, variant: danger ? 'danger' : 'primary', autofocus: !danger },
+        ],
+    });
+
 /**
  * Retrieves a DOM element by its ID.
  * 
@@ -99,11 +737,22 @@ const ref = (id) => document.getElementById(id);
 
 /**
  * Global DOM utility object for rendering and HTML injection.
+ * `registerHelper(name, fn)` adds a helper usable in `inject` templates.
  * @namespace
  */
 window.DOM = {
     render,
+    patch,
     renderError,
+    announce,
+    showFieldErrors,
+    clearFieldErrors,
+    toast,
+    dialog,
+    confirm: confirmDialog,
+    prompt: promptDialog,
     inject,
+    linkAttribute,
+    registerHelper: (name, fn) => Template.registerHelper(name, fn),
     ref
 };
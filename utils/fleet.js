@@ -0,0 +1,241 @@
+/**
+ * Fleet File Module
+ * Reads and writes the car list as CSV or JSON, for keeping the fleet in spreadsheets.
+ *
+ * Usage:
+ *
+ * ```js
+ * Fleet.download('taxis.csv', Fleet.toCsv(cars), 'text/csv');
+ *
+ * const rows = Fleet.parse(await file.text(), file.name);
+ * const checked = rows.map((values) => CarSchema.validate(values));
+ * ```
+ */
+
+/**
+ * Columns of exported files, in order. Imports also accept the schema labels
+ * (`Fuel usage`) and their translations (`Fogyasztás`) as headers, in any order and case.
+ * @type {string[]}
+ */
+const FLEET_COLUMNS = ['id', 'brand', 'model', 'electric', 'fuelUse', 'dayOfCommission', 'owner'];
+
+/**
+ * Characters that make spreadsheets treat a cell as a formula.
+ * Exported text starting with one is prefixed with `'`, which imports strip again.
+ * @type {RegExp}
+ */
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * How long the blob URL of a download is kept, in milliseconds. Firefox and Safari
+ * start the download only after `click()` returned, so it must outlive the click.
+ * @type {number}
+ */
+const DOWNLOAD_URL_LIFETIME = 10000;
+
+/**
+ * Quotes a value for CSV when it contains the delimiter, quotes or line breaks.
+ *
+ * @param {*} value - Cell value.
+ * @param {string} delimiter - Field delimiter.
+ * @returns {string}
+ */
+const csvCell = (value, delimiter) => {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+
+    return text.includes(delimiter) || /["\r\n]/.test(text)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+};
+
+/**
+ * Serializes cars as CSV with a header row.
+ *
+ * @param {object[]} cars - Cars to export.
+ * @param {string} [delimiter=','] - Field delimiter.
+ * @returns {string}
+ */
+const toCsv = (cars, delimiter = ',') => [
+    FLEET_COLUMNS.join(delimiter),
+    ...cars.map((car) => FLEET_COLUMNS.map((column) => csvCell(car[column], delimiter)).join(delimiter)),
+].join('\r\n') + '\r\n';
+
+/**
+ * Serializes cars as pretty-printed JSON, keeping only the exported columns.
+ *
+ * @param {object[]} cars - Cars to export.
+ * @returns {string}
+ */
+const toJson = (cars) => JSON.stringify(
+    cars.map((car) => Object.fromEntries(FLEET_COLUMNS.map((column) => [column, car[column] ?? null]))),
+    null,
+    2
+);
+
+/**
+ * Splits CSV text into rows of cells. Handles quoted cells with
+ * delimiters, escaped quotes and line breaks. Empty lines are skipped.
+ *
+ * @param {string} text - CSV text.
+ * @param {string} delimiter - Field delimiter.
+ * @returns {string[][]}
+ */
+const splitCsv = (text, delimiter) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            if (row.some((value) => value !== '')) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    if (row.some((value) => value !== '')) rows.push(row);
+
+    return rows;
+};
+
+/**
+ * Reduces a header to letters, ignoring case, accents, spaces and punctuation.
+ * @param {string} text - Header or label.
+ * @returns {string}
+ */
+const headerKey = (text) => text.normalize('NFD').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Maps a header cell to a schema field, matching field names, labels and
+ * their translations regardless of case, spaces and punctuation.
+ *
+ * @param {string} header - Header cell.
+ * @returns {string|null} Field name, or `null` for unknown columns.
+ */
+const fieldForHeader = (header) => {
+    const key = headerKey(header);
+    if (key === 'id') return 'id';
+
+    return Object.keys(CarSchema.fields).find((field) =>
+        field.toLowerCase() === key ||
+        headerKey(CarSchema.fields[field].label) === key ||
+        headerKey(t(`field.${field}`)) === key
+    ) ?? null;
+};
+
+/**
+ * Parses CSV text into raw car values, keyed by schema field.
+ * The delimiter (`,` or `;`) is taken from the header row.
+ *
+ * @param {string} text - CSV text with a header row.
+ * @returns {Object.<string, string>[]} One entry per data row.
+ * @throws {Error} When no header names a known column.
+ */
+const parseCsv = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+    const [header = [], ...rows] = splitCsv(text.replace(/^\uFEFF/, ''), delimiter);
+    const fields = header.map(fieldForHeader);
+
+    if (!fields.some(Boolean)) {
+        throw new Error(t('fleet.noColumns', { columns: FLEET_COLUMNS.join(', ') }));
+    }
+
+    return rows.map((cells) => {
+        const values = {};
+        fields.forEach((field, i) => {
+            if (field) values[field] = (cells[i] ?? '').replace(/^'(?=[=+\-@\t\r])/, '');
+        });
+        return values;
+    });
+};
+
+/**
+ * Parses a JSON export: an array of cars, or an object with a `cars` array.
+ *
+ * @param {string} text - JSON text.
+ * @returns {object[]} One entry per car.
+ * @throws {Error} When the JSON holds no car list.
+ */
+const parseJson = (text) => {
+    const data = JSON.parse(text);
+    const cars = Array.isArray(data) ? data : data?.cars;
+
+    if (!Array.isArray(cars)) throw new Error(t('fleet.noList'));
+
+    return cars.map((car) => (car && typeof car === 'object' ? car : {}));
+};
+
+/**
+ * Parses an import file, choosing the format from its name (or content).
+ *
+ * @param {string} text - File content.
+ * @param {string} [filename=''] - File name, e.g. `fleet.csv`.
+ * @returns {object[]} Raw car values, one entry per row.
+ * @throws {Error|SyntaxError} When the file cannot be read as CSV or JSON.
+ */
+const parseFleetFile = (text, filename = '') => {
+    const isJson = /\.json$/i.test(filename) || (!/\.csv$/i.test(filename) && /^\s*[[{]/.test(text));
+    return isJson ? parseJson(text) : parseCsv(text);
+};
+
+/**
+ * Lets the browser save text as a file.
+ *
+ * @param {string} filename - Suggested file name.
+ * @param {string} content - File content.
+ * @param {string} type - MIME type.
+ */
+const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.append(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+};
+
+/**
+ * Global fleet file API.
+ *
+ * @namespace
+ * @property {string[]} columns - Exported columns.
+ * @property {Function} toCsv - Serializes cars as CSV.
+ * @property {Function} toJson - Serializes cars as JSON.
+ * @property {Function} parse - Parses a CSV or JSON import file.
+ * @property {Function} download - Saves text as a file.
+ */
+window.Fleet = {
+    columns: FLEET_COLUMNS,
+    toCsv,
+    toJson,
+    parse: parseFleetFile,
+    download: downloadFile,
+};
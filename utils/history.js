@@ -0,0 +1,204 @@
+/**
+ * Car History Module
+ * A local audit log of the changes this client made to cars.
+ *
+ * `CarStore` records every create, update and delete once the server accepted
+ * it (or `Offline` queued it). Each entry keeps the car's field values before and
+ * after the change, so the car page can show field-level diffs and restore an
+ * earlier version. The log is kept in localStorage; the oldest entries are dropped
+ * beyond `MAX_HISTORY_ENTRIES`.
+ *
+ * Entries are keyed by car id. A car created offline is logged under its
+ * `pending-<n>` id, which it leaves once the server assigns the real one.
+ *
+ * Usage:
+ *
+ * ```js
+ * CarHistory.record({ type: 'update', carId: '3', before: oldCar, after: newCar });
+ * CarHistory.list('3'); // newest first, with `changes` per entry
+ * ```
+ */
+
+/**
+ * localStorage key of the log.
+ * @type {string}
+ */
+const HISTORY_STORAGE_KEY = 'taxi:car-history';
+
+/**
+ * Most entries kept, over all cars.
+ * @type {number}
+ */
+const MAX_HISTORY_ENTRIES = 500;
+
+/**
+ * Listeners notified when an entry is recorded.
+ * @type {Set<Function>}
+ */
+const historyListeners = new Set();
+
+/**
+ * Sequence making entry ids unique within a millisecond.
+ * @type {number}
+ */
+let historySequence = 0;
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Entry id.
+ * @property {string} carId - Affected car.
+ * @property {'create'|'update'|'delete'|'revert'} type - What happened; `revert` restored an earlier version.
+ * @property {number} at - When the change was made, as a timestamp.
+ * @property {string} by - Neptun code the change was sent with.
+ * @property {object|null} before - Field values before the change, `null` for a creation.
+ * @property {object|null} after - Field values after the change, `null` for a deletion.
+ * @property {boolean} queued - Whether the change waited in the offline outbox.
+ * @property {string} [revertOf] - Entry whose `before` values a revert restored.
+ */
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} field - Schema field.
+ * @property {*} before - Value before, `undefined` for a creation.
+ * @property {*} after - Value after, `undefined` for a deletion.
+ */
+
+/**
+ * Reads the log, oldest entry first.
+ * @returns {HistoryEntry[]}
+ */
+const readHistory = () => {
+    try {
+        const entries = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+        return Array.isArray(entries) ? entries : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * Writes the log, dropping the oldest entries beyond the limit.
+ * A full storage drops the oldest half and tries again once.
+ * @param {HistoryEntry[]} entries - Log, oldest entry first.
+ */
+const writeHistory = (entries) => {
+    let kept = entries.slice(-MAX_HISTORY_ENTRIES);
+
+    try {
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(kept));
+    } catch (err) {
+        kept = kept.slice(Math.floor(kept.length / 2));
+        try {
+            localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(kept));
+        } catch {
+            console.warn('Car history could not be saved', err);
+        }
+    }
+};
+
+/**
+ * Picks the schema fields of a car, leaving out its id and status flags.
+ * @param {object|null|undefined} car - Car to read.
+ * @returns {object|null}
+ */
+const historyFields = (car) => {
+    if (!car) return null;
+    return Object.fromEntries(Object.keys(CarSchema.fields).map((field) => [field, car[field] ?? null]));
+};
+
+/**
+ * Compares two values as the form would show them, so `5` and `'5'` are equal.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {boolean}
+ */
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+/**
+ * Lists the fields a change touched.
+ * @param {HistoryEntry} entry - Logged change.
+ * @returns {FieldChange[]}
+ */
+const diffEntry = ({ before, after }) => Object.keys(CarSchema.fields)
+    .filter((field) => !before || !after || !sameValue(before[field], after[field]))
+    .map((field) => ({ field, before: before?.[field], after: after?.[field] }));
+
+/**
+ * Logs a change. Updates that changed no field are skipped.
+ *
+ * @param {{type: HistoryEntry['type'], carId: string|number, before?: object|null, after?: object|null,
+ * queued?: boolean, revertOf?: string}} change - The change; `before` and `after` may be whole cars.
+ * @returns {HistoryEntry|null} The entry, or `null` when nothing changed.
+ */
+const recordChange = ({ type, carId, before = null, after = null, queued = false, revertOf }) => {
+    const entry = {
+        id: `${Date.now().toString(36)}-${++historySequence}`,
+        carId: String(carId),
+        type,
+        at: Date.now(),
+        by: Credentials.code(),
+        before: historyFields(before),
+        after: historyFields(after),
+        queued,
+    };
+    if (revertOf) entry.revertOf = revertOf;
+
+    if (entry.before && entry.after && !diffEntry(entry).length) return null;
+
+    writeHistory([...readHistory(), entry]);
+
+    historyListeners.forEach((listener) => {
+        try {
+            listener(entry);
+        } catch (err) {
+            console.error('Car history listener failed', err);
+        }
+    });
+
+    return entry;
+};
+
+/**
+ * Lists the logged changes of a car, newest first, each with the fields it touched.
+ *
+ * @param {string|number} carId - Car id.
+ * @returns {(HistoryEntry & {changes: FieldChange[]})[]}
+ */
+const listHistory = (carId) => readHistory()
+    .filter((entry) => entry.carId === String(carId))
+    .reverse()
+    .map((entry) => ({ ...entry, changes: diffEntry(entry) }));
+
+/**
+ * Finds a logged change.
+ * @param {string} entryId - Entry id.
+ * @returns {HistoryEntry|null}
+ */
+const findHistoryEntry = (entryId) => readHistory().find((entry) => entry.id === entryId) ?? null;
+
+/**
+ * Subscribes to new entries.
+ *
+ * @param {(entry: HistoryEntry) => void} listener - Called with every recorded entry.
+ * @returns {() => void} Function that unsubscribes the listener.
+ */
+const subscribeHistory = (listener) => {
+    historyListeners.add(listener);
+    return () => historyListeners.delete(listener);
+};
+
+/**
+ * Global car history API.
+ *
+ * @namespace
+ * @property {Function} record - Logs a change.
+ * @property {Function} list - Lists the changes of a car.
+ * @property {Function} find - Finds a logged change.
+ * @property {Function} subscribe - Subscribes to new entries.
+ */
+window.CarHistory = {
+    record: recordChange,
+    list: listHistory,
+    find: findHistoryEntry,
+    subscribe: subscribeHistory,
+};
@@ -0,0 +1,256 @@
+/**
+ * Internationalization Module
+ * Message catalogs, translation and locale-aware formatting.
+ *
+ * Catalogs live in `locales/<language>.js` and register themselves through
+ * `I18n.addMessages`. Keys are dotted (`home.empty`); `{name}` placeholders are
+ * filled from the params, `{name:date}` and `{name:number}` format the value for
+ * the current language first. Missing keys fall back to English, then to the key itself.
+ *
+ * The chosen language is kept in localStorage. Without a choice the browser's
+ * language is used when there is a catalog for it.
+ *
+ * Templates translate with `{{t "key" arg1 arg2}}`, whose arguments fill `{0}`, `{1}`, ...
+ * This module also replaces the `date` and `number` template helpers with
+ * versions formatting for the current language.
+ *
+ * Usage:
+ *
+ * ```js
+ * I18n.t('car.deleted', { name: 'Toyota Yaris' }); // "Toyota Yaris was deleted."
+ * I18n.setLanguage('hu');                           // listeners re-render the page
+ * ```
+ */
+
+/**
+ * Supported languages: their name in the language switcher and the locale used for formatting.
+ * @type {Object.<string, {label: string, locale: string}>}
+ */
+const I18N_LANGUAGES = {
+    hu: { label: 'Magyar', locale: 'hu-HU' },
+    en: { label: 'English', locale: 'en-GB' },
+};
+
+/**
+ * Language missing messages are taken from.
+ * @type {string}
+ */
+const FALLBACK_LANGUAGE = 'en';
+
+/**
+ * localStorage key of the chosen language.
+ * @type {string}
+ */
+const LANGUAGE_STORAGE_KEY = 'taxi:language';
+
+/**
+ * Messages by language, then by key.
+ * @type {Object.<string, Object.<string, string>>}
+ */
+const messageCatalogs = {};
+
+/**
+ * Listeners notified when the language changes.
+ * @type {Set<Function>}
+ */
+const languageListeners = new Set();
+
+/**
+ * Picks the starting language: the saved choice, else the browser's language, else the fallback.
+ * @returns {string}
+ */
+const initialLanguage = () => {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (saved in I18N_LANGUAGES) return saved;
+
+    const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+    return browser in I18N_LANGUAGES ? browser : FALLBACK_LANGUAGE;
+};
+
+/**
+ * Language currently shown.
+ * @type {string}
+ */
+let currentLanguage = initialLanguage();
+
+/**
+ * Adds messages to a language's catalog.
+ *
+ * @param {string} language - Language code, e.g. `hu`.
+ * @param {Object.<string, string>} messages - Messages by key.
+ */
+const addMessages = (language, messages) => {
+    messageCatalogs[language] = { ...messageCatalogs[language], ...messages };
+};
+
+/**
+ * Translates a message key into the current language.
+ *
+ * @param {string} key - Message key.
+ * @param {Object.<string, *>|Array<*>} [params={}] - Values of the `{name}` (or `{0}`) placeholders.
+ * @returns {string}
+ */
+const translate = (key, params = {}) => {
+    const message = messageCatalogs[currentLanguage]?.[key]
+        ?? messageCatalogs[FALLBACK_LANGUAGE]?.[key];
+
+    if (message === undefined) {
+        console.warn(`Missing message: ${key}`);
+        return key;
+    }
+
+    return message.replace(/{(\w+)(?::(date|number))?}/g, (placeholder, name, format) => {
+        const value = params[name];
+        if (value === undefined || value === null) return placeholder;
+        if (format === 'date') return formatDate(value);
+        if (format === 'number') return formatNumber(value);
+        return value;
+    });
+};
+
+/**
+ * Locale of the current language, e.g. `hu-HU`.
+ * @returns {string}
+ */
+const currentLocale = () => I18N_LANGUAGES[currentLanguage].locale;
+
+/**
+ * Formats a date string or timestamp as a date of the current language.
+ *
+ * @param {string|number|Date} value - Date to format.
+ * @returns {string} The date, empty for empty or invalid values.
+ */
+const formatDate = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    return isNaN(date) ? '' : date.toLocaleDateString(currentLocale());
+};
+
+/**
+ * Formats a date string or timestamp as a date and time of the current language.
+ *
+ * @param {string|number|Date} value - Moment to format.
+ * @returns {string} The date and time, empty for empty or invalid values.
+ */
+const formatDateTime = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    return isNaN(date) ? '' : date.toLocaleString(currentLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+/**
+ * Formats a number with a fixed count of fraction digits, e.g. `5,6` in Hungarian.
+ *
+ * @param {*} value - Number to format.
+ * @param {number} [digits=0] - Fraction digits.
+ * @returns {string} The number, empty for empty or non-numeric values.
+ */
+const formatNumber = (value, digits = 0) => {
+    if (value === null || value === undefined || value === '') return '';
+    const number = Number(value);
+    if (isNaN(number)) return '';
+    return number.toLocaleString(currentLocale(), {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+    });
+};
+
+/**
+ * Translates the static markup outside the page root: elements with `data-i18n`
+ * get the message as text, `data-i18n-label` sets their `aria-label`.
+ */
+const translateDocument = () => {
+    document.documentElement.lang = currentLanguage;
+
+    document.querySelectorAll('[data-i18n]').forEach((element) => {
+        element.textContent = translate(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-label]').forEach((element) => {
+        element.setAttribute('aria-label', translate(element.dataset.i18nLabel));
+    });
+};
+
+/**
+ * Switches the language, saves the choice and notifies listeners.
+ *
+ * @param {string} language - Language code.
+ * @throws {Error} When the language is not supported.
+ */
+const setLanguage = (language) => {
+    if (!(language in I18N_LANGUAGES)) throw new Error(`Unsupported language: ${language}`);
+    if (language === currentLanguage) return;
+
+    currentLanguage = language;
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    translateDocument();
+
+    languageListeners.forEach((listener) => {
+        try {
+            listener(language);
+        } catch (err) {
+            console.error('Language listener failed', err);
+        }
+    });
+};
+
+/**
+ * Subscribes to language changes.
+ *
+ * @param {(language: string) => void} listener - Called with the new language.
+ * @returns {() => void} Function that unsubscribes the listener.
+ */
+const subscribeLanguage = (listener) => {
+    languageListeners.add(listener);
+    return () => languageListeners.delete(listener);
+};
+
+/**
+ * `{{t "key" arg1 arg2}}` — translates a message key, the arguments fill `{0}`, `{1}`, ...
+ */
+Template.registerHelper('t', (key, ...args) => translate(key, args));
+
+/**
+ * `{{date value}}` — formats a date for the current language.
+ */
+Template.registerHelper('date', formatDate);
+
+/**
+ * `{{number value digits}}` — formats a number for the current language.
+ */
+Template.registerHelper('number', formatNumber);
+
+/**
+ * Global internationalization API.
+ *
+ * @namespace
+ * @property {Object.<string, {label: string, locale: string}>} languages - Supported languages.
+ * @property {Function} language - Returns the current language code.
+ * @property {Function} locale - Returns the locale of the current language.
+ * @property {Function} addMessages - Adds messages to a catalog.
+ * @property {Function} t - Translates a message key.
+ * @property {Function} setLanguage - Switches the language.
+ * @property {Function} subscribe - Subscribes to language changes.
+ * @property {Function} translateDocument - Translates the static `data-i18n` markup.
+ * @property {Function} formatDate - Formats a date for the current language.
+ * @property {Function} formatDateTime - Formats a date and time for the current language.
+ * @property {Function} formatNumber - Formats a number for the current language.
+ */
+window.I18n = {
+    languages: I18N_LANGUAGES,
+    language: () => currentLanguage,
+    locale: currentLocale,
+    addMessages,
+    t: translate,
+    setLanguage,
+    subscribe: subscribeLanguage,
+    translateDocument,
+    formatDate,
+    formatDateTime,
+    formatNumber,
+};
+
+/**
+ * Shorthand for `I18n.t`, for scripts.
+ * @type {Function}
+ */
+window.t = translate;
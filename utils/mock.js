@@ -0,0 +1,295 @@
+/**
+ * Mock Backend Module
+ * An in-browser stand-in for the iit-playground API, for development and demos
+ * without network access.
+ *
+ * Implements:
+ * - `GET /car`, `POST /car`, `PUT /car`
+ * - `GET /car/:id`, `DELETE /car/:id`
+ * - `GET /available-models?brand=`
+ *
+ * Cars are kept in localStorage and seeded on first use. Latency and failures
+ * can be injected to exercise loading states and the 400/401/404 paths:
+ *
+ * ```js
+ * MockBackend.configure({ latency: 800, failureRate: 0.2 });
+ * MockBackend.failNext(401);          // next request answers 401
+ * MockBackend.configure({ offline: true }); // requests fail like a dropped connection
+ * MockBackend.reset();                // back to the seed data
+ * ```
+ *
+ * Enabled when `AppConfig.backend` is `'mock'` (see `utils/config.js`).
+ */
+
+/**
+ * localStorage key of the mock car store.
+ * @type {string}
+ */
+const MOCK_STORE_KEY = 'taxi:mock-cars';
+
+/**
+ * Brands the mock accepts, mirroring the server's list.
+ * @type {string[]}
+ */
+const MOCK_BRANDS = [
+    "Toyota", "Honda", "Ford", "Chevrolet", "Volkswagen", "BMW", "Mercedes-Benz", "Audi",
+    "Nissan", "Hyundai", "Kia", "Volvo", "Subaru", "Mazda", "Lexus", "Tesla", "Porsche",
+    "Jeep", "Fiat", "Renault", "Peugeot", "Citroën", "Skoda", "Seat", "Opel", "Mitsubishi"
+];
+
+/**
+ * Models returned by `available-models`, per brand.
+ * @type {Object.<string, string[]>}
+ */
+const MOCK_MODELS = {
+    Toyota: ['Corolla', 'Camry', 'Prius', 'RAV4', 'Yaris'],
+    Honda: ['Civic', 'Accord', 'CR-V', 'Jazz'],
+    Ford: ['Focus', 'Fiesta', 'Mondeo', 'Kuga'],
+    Chevrolet: ['Spark', 'Cruze', 'Malibu', 'Bolt'],
+    Nissan: ['Leaf', 'Micra', 'Qashqai', 'X-Trail'],
+    BMW: ['320i', '520d', 'i3', 'X3'],
+    'Mercedes-Benz': ['A-Class', 'C-Class', 'E-Class', 'EQC'],
+    Volkswagen: ['Golf', 'Passat', 'Polo', 'ID.3'],
+    Skoda: ['Octavia', 'Superb', 'Fabia', 'Enyaq'],
+    Tesla: ['Model 3', 'Model S', 'Model Y'],
+};
+
+/**
+ * Cars the store starts with.
+ * @type {object[]}
+ */
+const MOCK_SEED = [
+    { id: 1, brand: 'Toyota', model: 'Prius', electric: false, fuelUse: 4.1, dayOfCommission: '2019-03-14', owner: 'Kovács Anna' },
+    { id: 2, brand: 'Skoda', model: 'Octavia', electric: false, fuelUse: 5.6, dayOfCommission: '2017-09-01', owner: 'Nagy Péter' },
+    { id: 3, brand: 'Tesla', model: 'Model 3', electric: true, fuelUse: 0, dayOfCommission: '2021-06-20', owner: 'Szabó Eszter' },
+    { id: 4, brand: 'Mercedes-Benz', model: 'E-Class', electric: false, fuelUse: 6.3, dayOfCommission: '2016-01-11', owner: null },
+    { id: 5, brand: 'Volkswagen', model: 'ID.3', electric: true, fuelUse: 0, dayOfCommission: '2022-10-05', owner: 'Tóth Gábor' },
+];
+
+/**
+ * Injected latency and failures.
+ * - `latency`: milliseconds before every response.
+ * - `failureRate`: share (0–1) of requests answered with `failureStatus`.
+ * - `failureStatus`: status of random failures.
+ * - `offline`: reject every request like a dropped connection.
+ * @type {{latency: number, failureRate: number, failureStatus: number, offline: boolean}}
+ */
+const mockOptions = {
+    latency: 200,
+    failureRate: 0,
+    failureStatus: 500,
+    offline: false,
+};
+
+/**
+ * Forced responses for the next requests, consumed in order.
+ * @type {{status: number, message?: string}[]}
+ */
+const mockFailures = [];
+
+/**
+ * Reads the car store, seeding it on first use.
+ * @returns {{nextId: number, cars: object[]}}
+ */
+const readMockStore = () => {
+    const stored = localStorage.getItem(MOCK_STORE_KEY);
+    if (stored) return JSON.parse(stored);
+
+    return { nextId: MOCK_SEED.length + 1, cars: MOCK_SEED.map((car) => ({ ...car })) };
+};
+
+/**
+ * Persists the car store.
+ * @param {{nextId: number, cars: object[]}} store
+ */
+const writeMockStore = (store) => {
+    localStorage.setItem(MOCK_STORE_KEY, JSON.stringify(store));
+};
+
+/**
+ * Builds a JSON response.
+ *
+ * @param {number} status - HTTP status.
+ * @param {*} body - Value sent as JSON.
+ * @returns {Response}
+ */
+const mockResponse = (status, body) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+});
+
+/**
+ * Validates a car like the server does.
+ *
+ * @param {object} car - Request body.
+ * @returns {string|null} Error message, or `null` when valid.
+ */
+const validateMockCar = (car) => {
+    if (!car || typeof car !== 'object') return 'Invalid request body';
+    if (!car.brand) return 'Brand is required';
+    if (!MOCK_BRANDS.some((brand) => brand.toLowerCase() === String(car.brand).toLowerCase())) {
+        return `Invalid brand: ${car.brand}`;
+    }
+    if (!car.model) return 'Model is required';
+    if (!car.electric && !(Number(car.fuelUse) > 0)) {
+        return 'Fuel use must be greater than 0 for non-electric cars';
+    }
+    if (car.dayOfCommission && new Date(car.dayOfCommission) > new Date()) {
+        return 'Day of commission cannot be in the future';
+    }
+    return null;
+};
+
+/**
+ * Normalizes a valid request body into a stored car.
+ *
+ * @param {object} body - Request body.
+ * @param {number} id - Car id.
+ * @returns {object} Stored car.
+ */
+const toMockCar = (body, id) => ({
+    id,
+    brand: body.brand,
+    model: body.model,
+    electric: Boolean(body.electric),
+    fuelUse: body.electric ? 0 : Number(body.fuelUse),
+    dayOfCommission: body.dayOfCommission || null,
+    owner: body.owner || null,
+});
+
+/**
+ * Answers a request from the store.
+ *
+ * @param {string} method - HTTP method.
+ * @param {URL} url - Request URL.
+ * @param {*} body - Parsed JSON body.
+ * @returns {Response}
+ */
+const routeMockRequest = (method, url, body) => {
+    const path = url.pathname;
+
+    if (/\/available-models\/?$/.test(path) && method === 'GET') {
+        const brand = url.searchParams.get('brand') || '';
+        const key = Object.keys(MOCK_MODELS).find((b) => b.toLowerCase() === brand.toLowerCase());
+        return mockResponse(200, key ? MOCK_MODELS[key] : []);
+    }
+
+    const match = /\/api\/([^/]+)\/car(?:\/([^/]+))?\/?$/.exec(path);
+    if (!match) return mockResponse(404, { message: 'Not found' });
+
+    const [, code, id] = match;
+    if (!/^[A-Z0-9]{6}$/.test(code)) {
+        return mockResponse(401, { message: 'Invalid Neptun code. Access denied.' });
+    }
+
+    const store = readMockStore();
+
+    if (id === undefined) {
+        if (method === 'GET') return mockResponse(200, store.cars);
+
+        if (method === 'POST' || method === 'PUT') {
+            const error = validateMockCar(body);
+            if (error) return mockResponse(400, { message: error });
+
+            if (method === 'POST') {
+                const car = toMockCar(body, store.nextId++);
+                store.cars.push(car);
+                writeMockStore(store);
+                return mockResponse(201, car);
+            }
+
+            const index = store.cars.findIndex((c) => c.id === Number(body.id));
+            if (index === -1) return mockResponse(404, { message: 'Car not found' });
+
+            store.cars[index] = toMockCar(body, store.cars[index].id);
+            writeMockStore(store);
+            return mockResponse(200, store.cars[index]);
+        }
+    } else {
+        if (!/^\d+$/.test(id)) return mockResponse(400, { message: 'Invalid car id' });
+
+        const index = store.cars.findIndex((c) => c.id === Number(id));
+        if (index === -1) return mockResponse(404, { message: 'Car not found' });
+
+        if (method === 'GET') return mockResponse(200, store.cars[index]);
+
+        if (method === 'DELETE') {
+            const [car] = store.cars.splice(index, 1);
+            writeMockStore(store);
+            return mockResponse(200, car);
+        }
+    }
+
+    return mockResponse(405, { message: `Method ${method} not allowed` });
+};
+
+/**
+ * `fetch`-compatible transport answering from the mock store,
+ * after the configured latency and with injected failures.
+ *
+ * @param {string} input - Request URL.
+ * @param {RequestInit} [init={}] - Request options.
+ * @returns {Promise<Response>}
+ */
+const mockFetch = (input, init = {}) => new Promise((resolve, reject) => {
+    const { signal } = init;
+    const abort = () => {
+        clearTimeout(timer);
+        reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+    };
+
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', abort);
+
+        if (mockOptions.offline) {
+            reject(new TypeError('Failed to fetch'));
+            return;
+        }
+
+        const forced = mockFailures.shift();
+        if (forced) {
+            resolve(mockResponse(forced.status, { message: forced.message || `Mock failure ${forced.status}` }));
+            return;
+        }
+
+        if (Math.random() < mockOptions.failureRate) {
+            resolve(mockResponse(mockOptions.failureStatus, { message: 'Injected mock failure' }));
+            return;
+        }
+
+        try {
+            const body = typeof init.body === 'string' && init.body ? JSON.parse(init.body) : undefined;
+            resolve(routeMockRequest((init.method || 'GET').toUpperCase(), new URL(input), body));
+        } catch (err) {
+            resolve(mockResponse(400, { message: 'Malformed JSON body' }));
+        }
+    }, mockOptions.latency);
+
+    if (signal) {
+        if (signal.aborted) abort();
+        else signal.addEventListener('abort', abort, { once: true });
+    }
+});
+
+/**
+ * Global mock backend API.
+ *
+ * @namespace
+ * @property {Function} fetch - `fetch`-compatible transport for `api.configure`.
+ * @property {Function} configure - Sets latency and failure injection.
+ * @property {Function} failNext - Forces the status of the next request.
+ * @property {Function} reset - Restores the seed data.
+ */
+window.MockBackend = {
+    fetch: mockFetch,
+    configure: (options = {}) => Object.assign(mockOptions, options),
+    failNext: (status, message) => mockFailures.push({ status, message }),
+    reset: () => localStorage.removeItem(MOCK_STORE_KEY),
+};
+
+/**
+ * Routes all API calls to the mock when it is the configured backend.
+ */
+if (AppConfig.backend === 'mock') {
+    api.configure({ transport: mockFetch });
+}
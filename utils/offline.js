@@ -0,0 +1,351 @@
+/**
+ * Offline Module
+ * Keeps the app usable on flaky connections.
+ *
+ * Features:
+ * - IndexedDB copy of the last car list, shown while offline
+ * - `Offline.fetchCars`, which falls back to that copy without a connection
+ * - An outbox that queues POST/PUT/DELETE calls which could not reach the server
+ * - In-order replay of the outbox once the connection returns
+ * - Change notifications, so pages can mark queued changes as pending
+ *
+ * Usage:
+ *
+ * ```js
+ * const result = await Offline.send('PUT', 'car', carData);
+ * if (result.queued) { ... } // saved locally, synced later
+ *
+ * Offline.subscribe(({ type, failures }) => { ... });
+ * ```
+ */
+
+/**
+ * IndexedDB database name and version.
+ * @type {{name: string, version: number}}
+ */
+const OFFLINE_DB = { name: 'taxi-offline', version: 1 };
+
+/**
+ * Key of the cached car list in the `cache` store.
+ * @type {string}
+ */
+const CARS_CACHE_KEY = 'cars';
+
+/**
+ * Listeners notified about outbox changes and replay results.
+ * @type {Set<Function>}
+ */
+const offlineListeners = new Set();
+
+/**
+ * Opened database, shared by all operations.
+ * @type {Promise<IDBDatabase>|null}
+ */
+let offlineDb = null;
+
+/**
+ * Whether a replay is running, so `online` events don't start a second one.
+ * @type {boolean}
+ */
+let replaying = false;
+
+/**
+ * Set when a replay is requested while one is running. The running replay then
+ * reads the outbox again once it is done, so changes queued meanwhile are sent too.
+ * @type {boolean}
+ */
+let replayAgain = false;
+
+/**
+ * Opens (and on first use creates) the offline database.
+ * Stores:
+ * - `cache`: key-value entries, e.g. the last car list.
+ * - `outbox`: queued mutations, auto-incremented so keys keep the queue order.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+const openOfflineDb = () => {
+    if (!offlineDb) {
+        offlineDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB.name, OFFLINE_DB.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('cache');
+                db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    return offlineDb;
+};
+
+/**
+ * Runs a request against an object store in its own transaction.
+ *
+ * @param {string} storeName - Object store to use.
+ * @param {IDBTransactionMode} mode - Transaction mode.
+ * @param {(store: IDBObjectStore) => IDBRequest} operation - Creates the request.
+ * @returns {Promise<*>} The request result.
+ */
+const withStore = async (storeName, mode, operation) => {
+    const db = await openOfflineDb();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+/**
+ * Notifies listeners.
+ * @param {{type: string, [key: string]: *}} event - Event passed to every listener.
+ */
+const emitOffline = (event) => {
+    offlineListeners.forEach((listener) => {
+        try {
+            listener(event);
+        } catch (err) {
+            console.error('Offline listener failed', err);
+        }
+    });
+};
+
+/**
+ * Stores the car list last received from the server.
+ *
+ * @param {object[]} cars - Cars to cache.
+ * @returns {Promise<void>}
+ */
+const saveCachedCars = async (cars) => {
+    await withStore('cache', 'readwrite', (store) => store.put({ cars, savedAt: Date.now() }, CARS_CACHE_KEY));
+};
+
+/**
+ * Reads the cached car list.
+ *
+ * @returns {Promise<{cars: object[], savedAt: number}|null>} The cached list, `null` if none.
+ */
+const loadCachedCars = async () => (await withStore('cache', 'readonly', (store) => store.get(CARS_CACHE_KEY))) ?? null;
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {number} id - Queue position, assigned by IndexedDB.
+ * @property {string} method - `POST`, `PUT` or `DELETE`.
+ * @property {string} url - API path, e.g. `car` or `car/3`.
+ * @property {*} [body] - JSON body.
+ * @property {number} createdAt - Timestamp of the original attempt.
+ */
+
+/**
+ * Lists the queued mutations in replay order.
+ * @returns {Promise<OutboxEntry[]>}
+ */
+const pendingChanges = () => withStore('outbox', 'readonly', (store) => store.getAll());
+
+/**
+ * Adds a mutation to the end of the outbox.
+ *
+ * @param {{method: string, url: string, body?: *}} change - Mutation to queue.
+ * @returns {Promise<number>} Id of the queued entry.
+ */
+const enqueueChange = async (change) => {
+    const id = await withStore('outbox', 'readwrite', (store) => store.add({ ...change, createdAt: Date.now() }));
+    emitOffline({ type: 'queued', id });
+    return id;
+};
+
+/**
+ * Whether an error means the server could not be reached at all.
+ * @param {*} error - Error thrown by the API client.
+ * @returns {boolean}
+ */
+const isConnectionError = (error) => error instanceof ApiError && error.status === 0;
+
+/**
+ * Sends a mutation, queueing it when the server cannot be reached.
+ * While older changes are still queued, new ones are queued behind them
+ * so the server sees them in the order they were made.
+ *
+ * @param {'POST'|'PUT'|'DELETE'} method - HTTP method.
+ * @param {string} url - API path.
+ * @param {*} [body] - JSON body.
+ * @returns {Promise<{queued: true, id: number}|{queued: false, data: *}>}
+ * Queue entry, or the server response.
+ * @throws {ApiError} When the server rejected the change.
+ */
+const sendChange = async (method, url, body) => {
+    const queueIsEmpty = (await pendingChanges()).length === 0;
+
+    if (queueIsEmpty && navigator.onLine !== false) {
+        try {
+            const data = await api[method.toLowerCase()](url, ...(body === undefined ? [] : [body]));
+            return { queued: false, data };
+        } catch (error) {
+            if (!isConnectionError(error)) throw error;
+        }
+    }
+
+    const id = await enqueueChange({ method, url, body });
+    if (!queueIsEmpty) replayOutbox().catch((err) => console.error('Outbox replay failed', err));
+    return { queued: true, id };
+};
+
+/**
+ * Sends the queued mutations in order.
+ * Stops at the first connection error and leaves the rest queued.
+ * Changes the server rejects are dropped from the queue and reported
+ * to listeners as `failures`, together with the server's message.
+ * A call during a running replay makes that replay pass over the outbox once more.
+ *
+ * @returns {Promise<{sent: number, failures: {entry: OutboxEntry, error: ApiError}[]}>}
+ */
+const replayOutbox = async () => {
+    if (replaying) {
+        replayAgain = true;
+        return { sent: 0, failures: [] };
+    }
+    replaying = true;
+
+    let sent = 0;
+    const failures = [];
+
+    try {
+        let disconnected = false;
+        do {
+            replayAgain = false;
+
+            for (const entry of await pendingChanges()) {
+                try {
+                    await api[entry.method.toLowerCase()](entry.url, ...(entry.body === undefined ? [] : [entry.body]));
+                    sent++;
+                } catch (error) {
+                    if (isConnectionError(error)) {
+                        disconnected = true;
+                        break;
+                    }
+                    failures.push({ entry, error });
+                }
+
+                await withStore('outbox', 'readwrite', (store) => store.delete(entry.id));
+            }
+        } while (replayAgain && !disconnected);
+    } finally {
+        replaying = false;
+        replayAgain = false;
+    }
+
+    if (sent || failures.length) {
+        emitOffline({ type: 'replayed', sent, failures });
+    }
+
+    return { sent, failures };
+};
+
+/**
+ * Overlays queued changes onto a car list, flagging affected cars as `pending`.
+ * Queued creations are appended with a `pending-<n>` id and `pendingCreate` set,
+ * queued deletions stay listed with `pendingDelete` set.
+ *
+ * @param {object[]} cars - Cars from the server or the offline cache.
+ * @param {OutboxEntry[]} changes - Queued mutations.
+ * @returns {object[]} The list as it will look once the changes are synced.
+ */
+const applyPendingChanges = (cars, changes) => {
+    const result = cars.map((car) => ({ ...car }));
+
+    for (const change of changes) {
+        if (change.method === 'POST') {
+            result.push({ ...change.body, id: `pending-${change.id}`, pending: true, pendingCreate: true });
+            continue;
+        }
+
+        const id = change.method === 'PUT' ? change.body?.id : change.url.split('/')[1];
+        const car = result.find((c) => String(c.id) === String(id));
+        if (!car) continue;
+
+        if (change.method === 'PUT') Object.assign(car, change.body);
+        car.pending = true;
+        if (change.method === 'DELETE') car.pendingDelete = true;
+    }
+
+    return result;
+};
+
+/**
+ * Fetches the car list and caches it. Without a connection the cached list
+ * is used instead. Queued changes are overlaid either way.
+ *
+ * @param {{signal?: AbortSignal}} [options={}] - Aborts the request.
+ * @returns {Promise<{cars: object[], offlineSince: number|null}>}
+ * The list, and when it was cached if it came from the cache.
+ * @throws {ApiError} When the server rejected the request, or it is unreachable and nothing is cached.
+ */
+const fetchCarList = async ({ signal } = {}) => {
+    let cars;
+    let offlineSince = null;
+
+    try {
+        cars = await api.get('car', { signal });
+        saveCachedCars(cars).catch((err) => console.warn('Could not cache cars', err));
+    } catch (error) {
+        if (signal?.aborted || !isConnectionError(error)) throw error;
+
+        const cached = await loadCachedCars();
+        if (!cached) throw error;
+        cars = cached.cars;
+        offlineSince = cached.savedAt;
+    }
+
+    return { cars: applyPendingChanges(cars, await pendingChanges()), offlineSince };
+};
+
+/**
+ * Subscribes to outbox events:
+ * - `{ type: 'queued', id }` after a change was queued.
+ * - `{ type: 'replayed', sent, failures }` after a replay sent or dropped changes.
+ *
+ * @param {(event: object) => void} listener - Called for every event.
+ * @returns {() => void} Function that unsubscribes the listener.
+ */
+const subscribeOffline = (listener) => {
+    offlineListeners.add(listener);
+    return () => offlineListeners.delete(listener);
+};
+
+/**
+ * Replays the outbox whenever the browser regains its connection.
+ */
+window.addEventListener('online', () => {
+    replayOutbox().catch((err) => console.error('Outbox replay failed', err));
+});
+
+/**
+ * Global offline API.
+ *
+ * @namespace
+ * @property {Function} send - Sends a mutation, queueing it when offline.
+ * @property {Function} replay - Sends the queued mutations in order.
+ * @property {Function} pendingChanges - Lists the queued mutations.
+ * @property {Function} applyPendingChanges - Overlays queued mutations onto a car list.
+ * @property {Function} saveCars - Caches the car list.
+ * @property {Function} loadCars - Reads the cached car list.
+ * @property {Function} fetchCars - Fetches the car list, falling back to the cache.
+ * @property {Function} subscribe - Subscribes to outbox events.
+ */
+window.Offline = {
+    send: sendChange,
+    replay: replayOutbox,
+    pendingChanges,
+    applyPendingChanges,
+    saveCars: saveCachedCars,
+    loadCars: loadCachedCars,
+    fetchCars: fetchCarList,
+    subscribe: subscribeOffline,
+};
@@ -3,18 +3,27 @@
  * A lightweight client-side router with caching and modular page support.
  * 
  * Features:
- * - In-memory and sessionStorage-based caching
+ * - Path-based routes with `:param` segments (`/car/:id`)
+ * - Legacy `?page=` query-string URLs keep resolving
+ * - In-memory, sessionStorage or localStorage page caching, invalidated by a version key
+ * - Prefetching of `data-link` targets on hover or focus
+ * - Focus moves to the new page's heading and the load is announced to screen readers
+ * - Scroll position and page view state are kept per history entry and restored on Back / Forward
  * - Custom page handlers
- * - Automatic script loading per page
+ * - Automatic page controller loading (ES modules exporting `mount` / `unmount`)
  * - URL parameter management
  * - History navigation support
+ * - Works when served from a subpath (e.g. a GitHub Pages project site)
  * 
  * Usage:
  * 
  * ```js
- * Router.onPage('about', (html, params, hydrate) => {
- *   render(ref('root'), html);
- *   hydrate(); // executes page-specific JS
+ * Router.route('/about/:section', 'about');
+ * 
+ * Router.onPage('about', async (html, params, hydrate, signal) => {
+ *   const data = await api.get(`about/${params.section}`, { signal }); // aborted when superseded
+ *   render(ref('root'), inject(html, data)); // params.section comes from the path
+ *   hydrate(); // mounts scripts/about.js
  * });
  * 
  * Router.init(); // start routing
@@ -28,94 +37,545 @@
 const pageHandlers = new Map();
 
 /**
- * In-memory HTML/JS page cache.
+ * Per-route navigation hooks registered through `Router.guard`.
+ * @type {Map<string, {beforeEnter?: Function, beforeLeave?: Function, onLeave?: Function}>}
+ */
+const routeGuards = new Map();
+
+/**
+ * Hooks registered by the currently displayed page through `Router.beforeLeave`,
+ * `Router.onLeave` and `Router.preserveViewState`. They are dropped once the page is left.
+ * @type {{beforeLeave: Set<Function>, onLeave: Set<Function>, viewState: Set<Function>}}
+ */
+const visitHooks = {
+    beforeLeave: new Set(),
+    onLeave: new Set(),
+    viewState: new Set(),
+};
+
+/**
+ * Unpatched `history.pushState` / `history.replaceState`, bound to `history`.
+ * @type {{pushState?: Function, replaceState?: Function}}
+ */
+const nativeHistory = {};
+
+/**
+ * Route currently displayed, `null` before the first render.
+ * @type {{page: string, params: Object.<string, string>, href: string}|null}
+ */
+let currentRoute = null;
+
+/**
+ * Position of the current entry in the session history, kept in `history.state.routerIndex`.
+ * Lets a cancelled `popstate` navigation step back to where it came from.
+ * @type {number}
+ */
+let currentIndex = 0;
+
+/**
+ * @typedef {Object} EntryState
+ * What a history entry showed when it was left, restored when it is shown again.
+ * @property {{x: number, y: number}} scroll - Scroll position of the window.
+ * @property {Object} view - View state collected from the page's `Router.preserveViewState` providers.
+ */
+
+/**
+ * States of the history entries left during this session, by `routerIndex`.
+ * Entries left through `popstate` can only be remembered here: the browser
+ * has moved on before the router hears about it, so their `history.state` cannot be written.
+ * @type {Map<number, EntryState>}
+ */
+const entryStates = new Map();
+
+/**
+ * View state restored for the displayed entry, handed to the page through `Router.getViewState`.
+ * @type {Object|null}
+ */
+let restoredViewState = null;
+
+/**
+ * Incremented on every navigation, so a guard that resolves late
+ * cannot complete a navigation that was superseded meanwhile.
+ * @type {number}
+ */
+let navigationId = 0;
+
+/**
+ * Set while the router itself walks back through history after a cancelled `popstate`.
+ * @type {boolean}
+ */
+let ignoreNextPop = false;
+
+/**
+ * Maximum number of chained guard redirects before a navigation is aborted.
+ * @type {number}
+ */
+const MAX_REDIRECTS = 5;
+
+/**
+ * @typedef {Object} RouterOptions
+ * @property {boolean} loadingIndicator - Show a loading indicator in `#root` while a route resolves.
+ * @property {number} loadingDelay - Milliseconds before the indicator appears.
+ * @property {string|(() => string)} loadingText - Text of the indicator, or a function returning it (e.g. translated).
+ * @property {'memory'|'session'|'local'|'none'} cache - Where page templates are cached:
+ * for the page's lifetime, in sessionStorage, in localStorage, or not at all.
+ * @property {string} cacheVersion - Version of the cached templates, e.g. the app version.
+ * Stored entries of other versions are dropped on `init`, so a deploy is picked up.
+ * @property {boolean} prefetch - Load the template and script of `data-link` targets on hover or focus.
+ * @property {boolean} prefetchData - Also run the data prefetcher registered with `Router.onPrefetch`.
+ * @property {boolean} manageFocus - After a navigation, focus the page's `h1` (else its first `h2`,
+ * else `#root`) and announce the page through `DOM.announce`.
+ * @property {string|((title: string) => string)} loadedText - Announcement of a loaded page,
+ * or a function building it from the page heading.
+ * @property {boolean} restoreScroll - Restore the scroll position of history entries on Back / Forward,
+ * reload and `Router.refresh()`, and scroll new pages to the top.
+ */
+
+/**
+ * Router options, set through `Router.init(options)`.
+ * @type {RouterOptions}
+ */
+const routerOptions = {
+    loadingIndicator: false,
+    loadingDelay: 150,
+    loadingText: 'Loading…',
+    cache: 'memory',
+    cacheVersion: '',
+    prefetch: true,
+    prefetchData: false,
+    manageFocus: true,
+    loadedText: (title) => `${title} loaded`,
+    restoreScroll: true,
+};
+
+/**
+ * @typedef {Object} RouteLoad
+ * A single run of `handleRouteChange`.
+ * @property {number} token - Increasing id of the load.
+ * @property {AbortController} controller - Aborted once a newer load starts.
+ * @property {() => void} hideLoading - Hides the load's loading indicator.
+ */
+
+/**
+ * The most recent route load; older ones are superseded.
+ * @type {RouteLoad|null}
+ */
+let activeLoad = null;
+
+/**
+ * Id of the most recent route load.
+ * @type {number}
+ */
+let loadToken = 0;
+
+/**
+ * Registered path routes, matched in registration order.
+ * @type {{path: string, page: string, regex: RegExp, keys: string[]}[]}
+ */
+const routes = [];
+
+/**
+ * Page rendered when no route matches the current path
+ * or the page template does not exist.
+ * @type {string}
+ */
+const NOT_FOUND_PAGE = 'not-found';
+
+/**
+ * Path of the application root, always ending with `/`.
+ * Taken from an existing `<base>` element, otherwise derived from the location
+ * of this script (`<root>/utils/router.js`), so the app keeps working from a subpath.
+ * @type {string}
+ */
+const basePath = (() => {
+    const base = document.querySelector('base[href]');
+    if (base) return new URL(base.href).pathname;
+
+    const script = document.currentScript;
+    return script ? new URL('..', script.src).pathname : '/';
+})();
+
+/**
+ * Pins relative URLs (page templates, scripts, icons) to the application root,
+ * otherwise they would resolve against the current route path, e.g. `/car/3`.
+ */
+if (!document.querySelector('base[href]')) {
+    const base = document.createElement('base');
+    base.href = basePath;
+    document.head.prepend(base);
+}
+
+/**
+ * Loaded page controller modules, `null` for pages without a script.
+ * Scripts that failed to load are not listed, so they are imported again.
+ * @type {Map<string, PageController|null>}
+ */
+const pageModules = new Map();
+
+/**
+ * Page controller currently mounted into the page.
+ * @type {PageController|null}
+ */
+let mountedController = null;
+
+/**
+ * In-memory HTML page cache. Also holds entries read from the persistent cache.
  * @type {Map<string, string>}
  */
 const pageCache = new Map();
 
 /**
- * Enable persistent caching using sessionStorage.
- * Set to `true` to persist cache across refreshes.
- * @type {boolean}
+ * Template requests in flight by page, so a prefetch and the navigation
+ * following it share one request.
+ * @type {Map<string, Promise<string|null>>}
  */
-const usePersistentCache = false;
+const pendingTemplates = new Map();
+
+/**
+ * Data prefetchers registered through `Router.onPrefetch`, by page.
+ * @type {Map<string, Function>}
+ */
+const dataPrefetchers = new Map();
+
+/**
+ * Listeners notified once a navigation was allowed, registered through `Router.onNavigate`.
+ * @type {Set<Function>}
+ */
+const navigateListeners = new Set();
+
+/**
+ * Prefix of every router entry in sessionStorage and localStorage.
+ * @type {string}
+ */
+const CACHE_PREFIX = 'RouterCache:';
 
 /**
  * Listens to browser history events and handles route changes.
+ * The URL has already changed at this point, so a cancelling guard
+ * moves the history back to the entry that was left.
  */
 window.addEventListener('popstate', () => {
-    handleRouteChange();
+    if (ignoreNextPop) {
+        ignoreNextPop = false;
+        return;
+    }
+
+    const targetIndex = history.state?.routerIndex ?? 0;
+    const delta = targetIndex - currentIndex;
+
+    transition(new URL(window.location.href), { type: 'pop', state: history.state, delta });
 });
 
 /**
- * Generates a unique cache key for sessionStorage.
+ * Storage of the persistent cache selected by the `cache` option.
+ * @returns {Storage|null} `null` unless templates are kept across reloads.
+ */
+const persistentCache = () => {
+    if (routerOptions.cache === 'session') return sessionStorage;
+    if (routerOptions.cache === 'local') return localStorage;
+    return null;
+};
+
+/**
+ * Generates the storage key of a cache entry, including the cache version.
  * @param {string} page - The page name.
- * @param {string} [type='html'] - Type of content ('html' or 'js').
+ * @param {string} [type='html'] - Type of content.
  * @returns {string} Generated cache key.
  */
-const cacheKey = (page, type = 'html') => `RouterCache:${type}:${page}`;
+const cacheKey = (page, type = 'html') => `${CACHE_PREFIX}${routerOptions.cacheVersion}:${type}:${page}`;
 
 /**
- * Retrieves cached page content from memory or sessionStorage.
+ * Retrieves cached page content from memory or the persistent cache.
  * @param {string} page - Page name.
  * @param {string} [type='html'] - Type of content.
  * @returns {string|null} Cached content or `null` if not found.
  */
 const getCachedPage = (page, type = 'html') => {
-    if (usePersistentCache) {
-        const cached = sessionStorage.getItem(cacheKey(page, type));
-        if (cached) return cached;
-    }
-    return pageCache.get(`${type}:${page}`) || null;
+    if (routerOptions.cache === 'none') return null;
+
+    const key = cacheKey(page, type);
+    if (pageCache.has(key)) return pageCache.get(key);
+
+    const cached = persistentCache()?.getItem(key) ?? null;
+    if (cached !== null) pageCache.set(key, cached);
+    return cached;
 };
 
 /**
- * Stores page content in memory or sessionStorage.
+ * Stores page content in memory and, if enabled, the persistent cache.
+ * A full storage only costs the persistence, the entry stays in memory.
  * @param {string} page - Page name.
- * @param {string} content - Page HTML/JS to cache.
+ * @param {string} content - Page content to cache.
  * @param {string} [type='html'] - Type of content.
  */
 const setCachedPage = (page, content, type = 'html') => {
-    if (usePersistentCache) {
-        sessionStorage.setItem(cacheKey(page, type), content);
-    } else {
-        pageCache.set(`${type}:${page}`, content);
+    if (routerOptions.cache === 'none') return;
+
+    const key = cacheKey(page, type);
+    pageCache.set(key, content);
+
+    try {
+        persistentCache()?.setItem(key, content);
+    } catch (err) {
+        console.warn(`Could not persist cached page: ${page}`, err);
     }
 };
 
+/**
+ * Removes router entries from sessionStorage and localStorage.
+ * @param {(key: string) => boolean} [predicate] - Entries to remove, all when omitted.
+ */
+const removeStoredEntries = (predicate = () => true) => {
+    [sessionStorage, localStorage].forEach((storage) => {
+        Object.keys(storage)
+            .filter((k) => k.startsWith(CACHE_PREFIX) && predicate(k))
+            .forEach((k) => storage.removeItem(k));
+    });
+};
+
+/**
+ * Drops stored entries of other cache versions, left behind by an earlier deploy.
+ */
+const pruneCache = () => {
+    const current = `${CACHE_PREFIX}${routerOptions.cacheVersion}:`;
+    removeStoredEntries((k) => !k.startsWith(current));
+};
+
 /**
  * Clears all router-related cache entries.
  */
 const clearCache = () => {
-    if (usePersistentCache) {
-        Object.keys(sessionStorage)
-            .filter((k) => k.startsWith('RouterCache:'))
-            .forEach((k) => sessionStorage.removeItem(k));
-    }
+    removeStoredEntries();
     pageCache.clear();
 };
 
 /**
  * Monkey-patches history.pushState and history.replaceState
  * to automatically react to programmatic navigation.
+ * The URL only changes once the navigation guards allow it.
  */
 const patchHistoryMethods = () => {
     ['pushState', 'replaceState'].forEach((type) => {
-        const original = history[type];
-        history[type] = function (...args) {
-            const result = original.apply(this, args);
-            handleRouteChange();
-            return result;
+        nativeHistory[type] = history[type].bind(history);
+        history[type] = function (state, title, url) {
+            const target = url == null ? new URL(window.location.href) : new URL(url, document.baseURI);
+            transition(target, { type, state });
         };
     });
 };
 
+/**
+ * Runs a guard and normalizes its verdict.
+ * A guard returns `false` to cancel, route params (`{ page: 'home' }`) to redirect,
+ * anything else lets the navigation continue.
+ * 
+ * @param {Function|undefined} guard - Guard to run.
+ * @param {{page: string, params: Object.<string, string>}} to - Route being entered.
+ * @param {{page: string, params: Object.<string, string>}|null} from - Route being left.
+ * @returns {Promise<boolean|Object.<string, string>>} `true`, `false` or redirect params.
+ */
+const runGuard = async (guard, to, from) => {
+    if (typeof guard !== 'function') return true;
+
+    const result = await guard(to, from);
+    if (result === false) return false;
+    if (result && typeof result === 'object') return result;
+    return true;
+};
+
+/**
+ * Runs the leave guards of the current route, then the enter guard of the target.
+ * 
+ * @param {{page: string, params: Object.<string, string>}} to - Route being entered.
+ * @param {{page: string, params: Object.<string, string>}|null} from - Route being left.
+ * @param {boolean} [skipLeave=false] - Skip leave guards that already allowed this navigation.
+ * @returns {Promise<boolean|Object.<string, string>>} First non-`true` verdict, or `true`.
+ */
+const runGuards = async (to, from, skipLeave = false) => {
+    const guards = from && !skipLeave
+        ? [...visitHooks.beforeLeave, routeGuards.get(from.page)?.beforeLeave]
+        : [];
+    guards.push(routeGuards.get(to.page)?.beforeEnter);
+
+    for (const guard of guards) {
+        const verdict = await runGuard(guard, to, from);
+        if (verdict !== true) return verdict;
+    }
+    return true;
+};
+
+/**
+ * Unmounts the page controller, calls the `onLeave` hooks of the current route
+ * and drops the page's visit hooks.
+ * @param {{page: string, params: Object.<string, string>}} to - Route being entered.
+ */
+const leaveCurrentRoute = (to) => {
+    if (!currentRoute) return;
+
+    unmountController();
+
+    const hooks = [...visitHooks.onLeave, routeGuards.get(currentRoute.page)?.onLeave];
+    visitHooks.beforeLeave.clear();
+    visitHooks.onLeave.clear();
+    visitHooks.viewState.clear();
+
+    hooks.forEach((hook) => {
+        if (typeof hook !== 'function') return;
+        try {
+            hook(to, currentRoute);
+        } catch (err) {
+            console.error(`onLeave hook failed for page: ${currentRoute.page}`, err);
+        }
+    });
+};
+
+/**
+ * Collects the scroll position of the window and the view state of the displayed page.
+ * Providers that fail or return something that cannot be stored in the history are skipped.
+ * @returns {EntryState}
+ */
+const captureEntryState = () => {
+    const view = {};
+    visitHooks.viewState.forEach((provider) => {
+        try {
+            Object.assign(view, structuredClone(provider()));
+        } catch (err) {
+            console.error(`View state provider failed for page: ${currentRoute?.page}`, err);
+        }
+    });
+
+    return { scroll: { x: window.scrollX, y: window.scrollY }, view };
+};
+
+/**
+ * Remembers the state of the displayed entry before it is left.
+ * While the entry is still the current one, its `history.state` is updated too,
+ * so the state survives a reload and entries restored from the browser's history.
+ * 
+ * @param {number} index - `routerIndex` of the entry.
+ * @param {{persist?: boolean}} [options={}] - Whether to write the state into `history.state`.
+ */
+const rememberEntryState = (index, { persist = false } = {}) => {
+    if (!currentRoute) return;
+
+    const entry = captureEntryState();
+    entryStates.set(index, entry);
+    if (!persist || window.location.href !== currentRoute.href) return;
+
+    try {
+        nativeHistory.replaceState({ ...history.state, routerEntry: entry }, '', window.location.href);
+    } catch (err) {
+        console.warn('Could not store the view state in the history', err);
+    }
+};
+
+/**
+ * Stores the displayed entry's state before the tab is closed or reloaded.
+ */
+window.addEventListener('pagehide', () => rememberEntryState(currentIndex, { persist: true }));
+
+/**
+ * Moves the history back to the entry that a cancelled `popstate` navigation left.
+ * @param {number} delta - How far the browser moved (`-1` for Back).
+ */
+const revertPop = (delta) => {
+    if (delta !== 0) {
+        ignoreNextPop = true;
+        history.go(-delta);
+    } else if (currentRoute) {
+        nativeHistory.pushState({ routerIndex: ++currentIndex }, '', currentRoute.href);
+    }
+};
+
+/**
+ * Guards and performs a navigation, then renders the target route.
+ * 
+ * @param {URL} url - Target URL.
+ * @param {{type: 'init'|'pushState'|'replaceState'|'pop', state?: *, delta?: number}} mode
+ * How the navigation was triggered.
+ * @param {number} [redirects=0] - Number of redirects already followed.
+ */
+const transition = async (url, mode, redirects = 0) => {
+    const id = ++navigationId;
+    const to = resolveRoute(url);
+    let verdict;
+
+    try {
+        verdict = await runGuards(to, currentRoute, redirects > 0);
+    } catch (err) {
+        console.error(`Navigation guard failed for page: ${to.page}`, err);
+        verdict = false;
+    }
+
+    if (id !== navigationId) return;
+
+    if (verdict === false) {
+        if (mode.type === 'pop') revertPop(mode.delta);
+        return;
+    }
+
+    if (verdict !== true) {
+        if (redirects >= MAX_REDIRECTS) {
+            console.error(`Too many redirects while navigating to: ${url.href}`);
+            if (mode.type === 'pop') revertPop(mode.delta);
+            return;
+        }
+
+        const type = mode.type === 'pushState' ? 'pushState' : 'replaceState';
+        if (mode.type === 'pop') {
+            rememberEntryState(currentIndex);
+            currentIndex += mode.delta;
+        }
+        transition(buildUrl(verdict), { type, state: {} }, redirects + 1);
+        return;
+    }
+
+    /** @type {EntryState|null} */
+    let restore = null;
+
+    if (mode.type === 'pop') {
+        rememberEntryState(currentIndex);
+        currentIndex += mode.delta;
+        restore = entryStates.get(currentIndex) ?? history.state?.routerEntry ?? null;
+    } else if (mode.type === 'init') {
+        restore = history.state?.routerEntry ?? null;
+    } else {
+        if (mode.type === 'pushState') {
+            rememberEntryState(currentIndex, { persist: true });
+            currentIndex++;
+            entryStates.delete(currentIndex);
+        } else if (currentRoute && url.href === currentRoute.href) {
+            // Replacing the entry with itself, e.g. to render it in another language
+            restore = captureEntryState();
+        }
+
+        const state = { ...(mode.state || {}), routerIndex: currentIndex };
+        delete state.routerEntry;
+        if (restore) state.routerEntry = restore;
+        nativeHistory[mode.type](state, '', url);
+    }
+
+    leaveCurrentRoute(to);
+    currentRoute = { ...to, href: window.location.href };
+
+    navigateListeners.forEach((listener) => {
+        try {
+            listener(currentRoute);
+        } catch (err) {
+            console.error('Navigation listener failed', err);
+        }
+    });
+
+    handleRouteChange({ navigated: mode.type !== 'init', restore, scrollToTop: mode.type === 'pushState' });
+};
+
 /**
  * Extracts URL query parameters into a plain object.
+ * @param {URL|Location} [url=window.location] - URL to read.
  * @returns {Object.<string, string>} Query parameters as key-value pairs.
  */
-const getParams = () => {
-    const searchParams = new URLSearchParams(window.location.search);
+const getQuery = (url = window.location) => {
+    const searchParams = new URLSearchParams(url.search);
     const result = {};
     for (const [key, value] of searchParams.entries()) {
         result[key] = value;
@@ -124,138 +584,655 @@ const getParams = () => {
 };
 
 /**
- * Programmatically navigates to a new route, updating the URL.
+ * Returns the current path relative to the application root.
+ * @param {URL|Location} [url=window.location] - URL to read.
+ * @returns {string} Path starting with `/`, e.g. `/car/3`.
+ */
+const currentPath = (url = window.location) => {
+    const { pathname } = url;
+    if (`${pathname}/` === basePath) return '/';
+
+    const relative = pathname.startsWith(basePath) ? pathname.slice(basePath.length) : pathname;
+    return '/' + relative.replace(/^\/+/, '').replace(/index\.html$/, '');
+};
+
+/**
+ * Turns a route pattern into a matcher.
+ * The query part of the pattern (`/cars?brand=...`) only documents
+ * the expected query params, matching happens on the path alone.
+ * 
+ * @param {string} pattern - Route pattern, e.g. `/car/:id`.
+ * @returns {{path: string, regex: RegExp, keys: string[]}} Compiled route.
+ */
+const compileRoute = (pattern) => {
+    const path = '/' + pattern.split('?')[0].replace(/^\/+|\/+$/g, '');
+    const keys = [];
+    const source = path
+        .replace(/[.+*?^${}()|[\]\\]/g, '\\$&')
+        .replace(/:(\w+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+
+    return { path, regex: new RegExp(`^${source}/?$`), keys };
+};
+
+/**
+ * Resolves a URL to a page name and its parameters.
+ * Path params take precedence over query params of the same name.
+ * 
+ * @param {URL|Location} [url=window.location] - URL to resolve.
+ * @returns {{page: string, params: Object.<string, string>}} Resolved route.
+ */
+const resolveRoute = (url = window.location) => {
+    const query = getQuery(url);
+    const path = currentPath(url);
+
+    // Legacy `?page=car&id=3` URLs
+    if (path === '/' && query.page !== undefined) {
+        const page = query.page || 'home';
+        return { page, params: { ...query, page } };
+    }
+
+    for (const route of routes) {
+        const match = route.regex.exec(path);
+        if (!match) continue;
+
+        const params = { ...query, page: route.page };
+        route.keys.forEach((key, i) => {
+            params[key] = decodeURIComponent(match[i + 1]);
+        });
+        return { page: route.page, params };
+    }
+
+    if (path === '/') {
+        return { page: 'home', params: { ...query, page: 'home' } };
+    }
+
+    return { page: NOT_FOUND_PAGE, params: { ...query, page: NOT_FOUND_PAGE, path } };
+};
+
+/**
+ * Returns the parameters of the current route: path params,
+ * query params and the resolved `page` name.
+ * @returns {Object.<string, string>} Route parameters as key-value pairs.
+ */
+const getParams = () => resolveRoute().params;
+
+/**
+ * Builds the URL for a page and its parameters.
+ * Uses the first registered route of the page whose path params are all given,
+ * leftover params go to the query string. Pages without a route fall back to `?page=`.
  * 
- * @param {Object.<string, string>} params - Parameters to set in the query string.
+ * @param {Object.<string, string>} params - Target `page` and its parameters.
  * @param {{preserveParams?: boolean}} [options={}] - Whether to keep other query params.
+ * @returns {URL} Absolute URL of the route.
  */
-const navigate = (params = {}, options = {}) => {
-    const url = new URL(window.location);
-    const allowedKeys = new Set(['page', ...Object.keys(params)]);
+const buildUrl = (params = {}, options = {}) => {
+    const { page: pageParam, ...rest } = params;
+    const page = pageParam || 'home';
+    const query = new URLSearchParams(options.preserveParams ? window.location.search : '');
+    query.delete('page');
+    query.delete('route');
 
-    for (const key of url.searchParams.keys()) {
-        if (!allowedKeys.has(key) && !options.preserveParams) {
-            url.searchParams.delete(key);
-        }
+    const route = routes.find((r) => r.page === page && r.keys.every((key) => rest[key] != null));
+    let path = '/';
+
+    if (route) {
+        path = route.path.replace(/:(\w+)/g, (_, key) => encodeURIComponent(rest[key]));
+        route.keys.forEach((key) => delete rest[key]);
+    } else if (page !== 'home') {
+        query.set('page', page);
     }
 
-    Object.entries(params).forEach(([key, value]) => {
+    Object.entries(rest).forEach(([key, value]) => {
         if (value == null) {
-            url.searchParams.delete(key);
+            query.delete(key);
         } else {
-            url.searchParams.set(key, value);
+            query.set(key, value);
         }
     });
 
-    history.pushState({}, '', url);
+    const url = new URL(basePath + path.replace(/^\//, ''), window.location.origin);
+    url.search = query.toString();
+    return url;
+};
+
+/**
+ * Generates the `href` of a route, for links that should also work when
+ * opened in a new tab or copied.
+ * 
+ * Example:
+ * Router.href({ page: 'car', id: '3' });         // '/car/3'
+ * Router.href({ page: 'home', brand: 'Toyota' }); // '/?brand=Toyota'
+ * 
+ * @param {Object.<string, string>} params - Target `page` and its path or query parameters.
+ * @param {{preserveParams?: boolean}} [options={}] - Whether to keep other query params.
+ * @returns {string} Path and query of the route, from the site root.
+ */
+const href = (params = {}, options = {}) => {
+    const url = buildUrl(params, options);
+    return url.pathname + url.search;
+};
+
+/**
+ * Programmatically navigates to a new route, updating the URL.
+ * 
+ * @param {Object.<string, string>} params - Target `page` and its path or query parameters.
+ * @param {{preserveParams?: boolean, replace?: boolean}} [options={}] - Whether to keep other
+ * query params, and whether to replace the current history entry instead of adding one.
+ */
+const navigate = (params = {}, options = {}) => {
+    const url = buildUrl(params, options);
+    if (options.replace) {
+        history.replaceState({}, '', url);
+    } else {
+        history.pushState({}, '', url);
+    }
 };
 
+/**
+ * Registers a path pattern for a page.
+ * `:name` segments are extracted into the page params.
+ * 
+ * Example:
+ * Router.route('/car/:id', 'car');
+ * Router.route('/cars?brand=...', 'home');
+ * 
+ * @param {string} pattern - Path pattern relative to the application root.
+ * @param {string} pageName - Page rendered for matching paths.
+ */
+const route = (pattern, pageName) => {
+    routes.push({ ...compileRoute(pattern), page: pageName });
+};
+
+/**
+ * Registers navigation hooks for a page.
+ * 
+ * - `beforeEnter(to, from)` runs before the page is entered.
+ * - `beforeLeave(to, from)` runs before the page is left.
+ * - `onLeave(to, from)` runs after the page was left, for cleanup.
+ * 
+ * Guards may be async. Returning `false` cancels the navigation,
+ * returning route params (e.g. `{ page: 'home' }`) redirects there.
+ * 
+ * @param {string} pageName - Page the hooks belong to.
+ * @param {{beforeEnter?: Function, beforeLeave?: Function, onLeave?: Function}} hooks - Hooks to register.
+ */
+const guard = (pageName, hooks) => {
+    routeGuards.set(pageName, { ...routeGuards.get(pageName), ...hooks });
+};
+
+/**
+ * Registers a leave guard for the currently displayed page only,
+ * e.g. to confirm discarding unsaved edits. Dropped once the page is left.
+ * 
+ * @param {(to: object, from: object) => boolean|object|Promise<boolean|object>} callback - Guard, see `guard`.
+ * @returns {() => void} Function that unregisters the guard.
+ */
+const beforeLeave = (callback) => {
+    visitHooks.beforeLeave.add(callback);
+    return () => visitHooks.beforeLeave.delete(callback);
+};
+
+/**
+ * Registers a cleanup callback for the currently displayed page only,
+ * e.g. to remove listeners a page script added outside of `#root`.
+ * 
+ * @param {(to: object, from: object) => void} callback - Called once the page is left.
+ * @returns {() => void} Function that unregisters the callback.
+ */
+const onLeave = (callback) => {
+    visitHooks.onLeave.add(callback);
+    return () => visitHooks.onLeave.delete(callback);
+};
+
+/**
+ * Registers a provider of the currently displayed page's view state, e.g. a search
+ * input and its results. It is called whenever the page's history entry is left,
+ * and must return a serializable object. Once the entry is shown again (Back / Forward,
+ * a reload or `Router.refresh()`), the page reads it back with `Router.getViewState()`.
+ * Dropped once the page is left.
+ * 
+ * Example:
+ * Router.preserveViewState(() => ({ text: input.value }));
+ * 
+ * @param {() => Object} provider - Returns the view state to keep.
+ * @returns {() => void} Function that unregisters the provider.
+ */
+const preserveViewState = (provider) => {
+    visitHooks.viewState.add(provider);
+    return () => visitHooks.viewState.delete(provider);
+};
+
+/**
+ * Returns the view state the displayed entry had when it was left, for pages
+ * to restore in `mount`. `null` when the entry is shown for the first time.
+ * @returns {Object|null}
+ */
+const getViewState = () => restoredViewState;
+
 /**
  * Registers a custom handler for a specific page.
  * 
  * @param {string} pageName - Page name to register.
- * @param {(html: string, params: Object.<string, string>, hydrate: () => void) => void} callback 
- * Function called with loaded HTML, query params, and script hydration function.
+ * @param {(html: string, params: Object.<string, string>, hydrate: (root?: HTMLElement) => void, signal: AbortSignal) => void|Promise<void>} callback 
+ * Function called with loaded HTML, route params, script hydration function and a signal
+ * that aborts once a newer navigation supersedes this one. Pass the signal to requests
+ * and skip rendering once it is aborted.
  */
 const onPage = (pageName, callback) => {
     pageHandlers.set(pageName, callback);
 };
 
+/**
+ * Fetches and caches the HTML template of a page.
+ * Concurrent calls for the same page share one request.
+ * 
+ * @param {string} page - Page name.
+ * @returns {Promise<string|null>} Template HTML, or `null` if the page does not exist.
+ */
+const loadPageTemplate = (page) => {
+    const cached = getCachedPage(page);
+    if (cached !== null) return Promise.resolve(cached);
+    if (pendingTemplates.has(page)) return pendingTemplates.get(page);
+
+    const request = fetch(`pages/${page}.html`)
+        .then(async (response) => {
+            if (response.status === 404) return null;
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const html = await response.text();
+            setCachedPage(page, html);
+            return html;
+        })
+        .finally(() => pendingTemplates.delete(page));
+
+    pendingTemplates.set(page, request);
+    return request;
+};
+
+/**
+ * Shows the loading indicator in `root` after `loadingDelay`, if enabled,
+ * so fast routes never flash it.
+ * 
+ * @param {HTMLElement} root - Element the route renders into.
+ * @param {RouteLoad} load - The route load the indicator belongs to.
+ * @returns {() => void} Function that hides the indicator again.
+ */
+const showLoadingIndicator = (root, load) => {
+    if (!routerOptions.loadingIndicator) return () => {};
+
+    const indicator = document.createElement('div');
+    indicator.className = 'route-loading';
+    indicator.setAttribute('role', 'status');
+    indicator.textContent = typeof routerOptions.loadingText === 'function'
+        ? routerOptions.loadingText()
+        : routerOptions.loadingText;
+
+    root.setAttribute('aria-busy', 'true');
+    const timer = setTimeout(() => root.append(indicator), routerOptions.loadingDelay);
+
+    return () => {
+        clearTimeout(timer);
+        indicator.remove();
+        if (activeLoad === load) root.removeAttribute('aria-busy');
+    };
+};
+
+/**
+ * Moves focus to the heading of a freshly rendered page and announces it,
+ * so keyboard and screen-reader users notice the navigation.
+ * Pages without a heading (e.g. an error message) get `root` focused instead;
+ * `DOM.renderError` announces those itself.
+ * 
+ * @param {HTMLElement} root - Element the page was rendered into.
+ */
+const focusPage = (root) => {
+    const heading = root.querySelector('h1') || root.querySelector('h2');
+    const target = heading || root;
+
+    if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
+
+    if (heading) {
+        const title = heading.textContent.trim();
+        announce(typeof routerOptions.loadedText === 'function'
+            ? routerOptions.loadedText(title)
+            : routerOptions.loadedText);
+    }
+};
+
+/**
+ * Scrolls a freshly rendered page back to where its entry was left, or to the top
+ * for a new entry. Replaced entries keep the current position, so e.g. a filter
+ * written to the URL while typing does not move the page.
+ * 
+ * @param {EntryState|null} restore - State the entry had when it was left.
+ * @param {boolean} toTop - Whether the page was pushed as a new entry.
+ */
+const restoreScroll = (restore, toTop) => {
+    if (restore?.scroll) {
+        window.scrollTo(restore.scroll.x, restore.scroll.y);
+    } else if (toTop) {
+        window.scrollTo(0, 0);
+    }
+};
+
 /**
  * Fetches, caches, and renders a page.
  * If a handler is registered, it will be called.
  * Otherwise, default rendering occurs.
+ * Unknown paths and missing templates render the not-found page.
+ * 
+ * Every call supersedes the previous one: its `AbortSignal` is aborted
+ * and anything it would still render is ignored.
+ * 
+ * @param {{navigated?: boolean, restore?: EntryState|null, scrollToTop?: boolean}} [options={}]
+ * Whether the render follows a navigation, as opposed to the initial load or a refresh;
+ * only then focus moves to the new page. `restore` is the state the entry had when it was
+ * left, if any, and `scrollToTop` whether the route was pushed as a new entry.
  */
-const handleRouteChange = async () => {
-    const params = getParams();
-    const page = params.page || 'home';
-    const handler = pageHandlers.get(page);
-    let html = getCachedPage(page);
+const handleRouteChange = async ({ navigated = false, restore = null, scrollToTop = false } = {}) => {
+    let { page, params } = resolveRoute();
+    const root = ref("root") || document.body;
+    restoredViewState = restore?.view ?? null;
+
+    activeLoad?.controller.abort();
+    activeLoad?.hideLoading();
+
+    /** @type {RouteLoad} */
+    const load = { token: ++loadToken, controller: new AbortController(), hideLoading: () => {} };
+    const { signal } = load.controller;
+    activeLoad = load;
+    load.hideLoading = showLoadingIndicator(root, load);
 
     try {
-        if (!html) {
-            const response = await fetch(`pages/${page}.html`);
-            html = await response.text();
-            setCachedPage(page, html);
+        let html = await loadPageTemplate(page);
+        if (signal.aborted) return;
+
+        if (html === null) {
+            params = { ...params, page: NOT_FOUND_PAGE, path: currentPath() + window.location.search };
+            page = NOT_FOUND_PAGE;
+            html = (await loadPageTemplate(page)) ?? `<h2>${escapeHtml(t('router.notFound'))}</h2>`;
         }
 
-        const hydrate = await loadPageScript(page);
+        const handler = pageHandlers.get(page);
+        const mount = await loadPageScript(page, params, signal);
+        if (signal.aborted) return;
+
+        const hydrate = (target) => {
+            if (!signal.aborted) mount(target);
+        };
 
         if (typeof handler === 'function') {
-            handler(html, params, hydrate);
+            await handler(html, params, hydrate, signal);
         } else {
-            const root = ref("root") || document.body;
-            render(root, inject(html, params));
+            patch(root, inject(html, params));
             hydrate();
         }
+
+        if (signal.aborted) return;
+        if (routerOptions.restoreScroll) restoreScroll(restore, scrollToTop);
+        if (navigated && routerOptions.manageFocus) focusPage(root);
     } catch (err) {
+        if (signal.aborted) return;
+
         console.error(`Failed to load page: pages/${page}.html`, err);
-        const errorHtml = `<h2>Error loading page: ${page}</h2>`;
+        const handler = pageHandlers.get(page);
+        const errorHtml = `<h2>${escapeHtml(t('router.loadError', { page }))}</h2>`;
 
         if (typeof handler === 'function') {
-            handler(errorHtml, params, () => {});
+            handler(errorHtml, params, () => {}, signal);
         } else {
-            const root = ref("root") || document.body;
             render(root, errorHtml);
         }
+        announce(t('router.loadError', { page }), { assertive: true });
+    } finally {
+        load.hideLoading();
+    }
+};
+
+/**
+ * @typedef {Object} PageController
+ * ES module at `scripts/<page>.js` driving a page.
+ * @property {(root: HTMLElement, params: Object.<string, string>, signal: AbortSignal) => void} [mount]
+ * Binds the page's behaviour after it was rendered. `signal` aborts once the route is superseded.
+ * @property {() => void} [unmount] - Releases listeners and timers when the page is left.
+ */
+
+/**
+ * Whether a page has no controller script at all, as opposed to one that failed to load.
+ * Asked after a failed import, which does not tell the two apart.
+ * 
+ * @param {URL} url - URL of the script.
+ * @returns {Promise<boolean>} `true` only when the server answered 404.
+ */
+const isMissingScript = async (url) => {
+    try {
+        const response = await fetch(url, { method: 'HEAD' });
+        return response.status === 404;
+    } catch {
+        return false;
     }
 };
 
 /**
- * Loads and caches a JS script for a page.
+ * Imports and caches the controller module of a page.
+ * Only a missing script is cached; a failed import (e.g. while offline) is tried
+ * again on the next visit.
  * 
  * @param {string} page - Page name.
- * @returns {Promise<() => void>} Hydration function that executes the JS.
+ * @returns {Promise<PageController|null>} The module, or `null` if the page has no script
+ * or it could not be loaded.
  */
-const loadPageScript = async (page) => {
-    let jsCode = getCachedPage(page, 'js');
+const loadPageModule = async (page) => {
+    if (pageModules.has(page)) return pageModules.get(page);
 
-    if (!jsCode) {
-        try {
-            const jsResponse = await fetch(`scripts/${page}.js`);
-            if (jsResponse.ok) {
-                jsCode = await jsResponse.text();
-                setCachedPage(page, jsCode, 'js');
-            }
-        } catch (err) {
+    const url = new URL(`scripts/${page}.js`, document.baseURI);
+    try {
+        const module = await import(url.href);
+        pageModules.set(page, module);
+        return module;
+    } catch (err) {
+        if (await isMissingScript(url)) {
+            pageModules.set(page, null);
+        } else {
             console.warn(`JS load failed for page: ${page}`, err);
         }
+        return null;
     }
+};
 
-    return () => {
-        if (jsCode) {
-            try {
-                eval(jsCode);
-            } catch (e) {
-                console.error(`Error executing JS for page: ${page}`, e);
-            }
+/**
+ * Calls `unmount` of the mounted page controller, if any.
+ */
+const unmountController = () => {
+    const controller = mountedController;
+    mountedController = null;
+
+    try {
+        controller?.unmount?.();
+    } catch (err) {
+        console.error('Error unmounting page controller', err);
+    }
+};
+
+/**
+ * Loads the controller module of a page.
+ * 
+ * @param {string} page - Page name.
+ * @param {Object.<string, string>} params - Route parameters passed to `mount`.
+ * @param {AbortSignal} signal - Signal of the route load, passed to `mount`.
+ * @returns {Promise<(root?: HTMLElement) => void>} Hydration function that mounts the controller
+ * into `root` (defaults to `#root`), unmounting a previously mounted one.
+ */
+const loadPageScript = async (page, params, signal) => {
+    const controller = await loadPageModule(page);
+
+    return (root = ref("root") || document.body) => {
+        unmountController();
+        if (!controller) return;
+
+        mountedController = controller;
+
+        try {
+            controller.mount?.(root, params, signal);
+        } catch (e) {
+            console.error(`Error mounting JS for page: ${page}`, e);
         }
     };
 };
 
+/**
+ * Registers a listener called once a navigation was allowed by the guards,
+ * before the new page loads. Not called for `Router.refresh()`.
+ * 
+ * @param {(route: {page: string, params: Object.<string, string>, href: string}) => void} listener
+ * Called with the route being entered.
+ * @returns {() => void} Function that unregisters the listener.
+ */
+const onNavigate = (listener) => {
+    navigateListeners.add(listener);
+    return () => navigateListeners.delete(listener);
+};
+
+/**
+ * Registers a data prefetcher for a page, run by `Router.prefetch` when the
+ * `prefetchData` option is on. It should fill a cache the page handler reads
+ * from (e.g. `CarStore`), so the navigation that follows needs no request.
+ *
+ * Example:
+ * Router.onPrefetch('car', ({ id }) => CarStore.get(id));
+ *
+ * @param {string} pageName - Page the prefetcher belongs to.
+ * @param {(params: Object.<string, string>) => Promise<*>|void} callback - Loads the page's data.
+ */
+const onPrefetch = (pageName, callback) => {
+    dataPrefetchers.set(pageName, callback);
+};
+
+/**
+ * Prefetches a route so navigating to it is instant: loads the page template
+ * and controller script, and with `prefetchData` its data.
+ * Does nothing while the `prefetch` option is off. Failures are ignored,
+ * the navigation itself reports them.
+ *
+ * @param {Object.<string, string>} params - Target `page` and its parameters, as for `navigate`.
+ * @returns {Promise<void>} Settles once everything was loaded or failed.
+ */
+const prefetch = (params = {}) => {
+    if (!routerOptions.prefetch) return Promise.resolve();
+
+    const { page, params: routeParams } = resolveRoute(buildUrl(params));
+    const tasks = [loadPageTemplate(page), loadPageModule(page)];
+
+    const prefetchData = dataPrefetchers.get(page);
+    if (routerOptions.prefetchData && typeof prefetchData === 'function') {
+        tasks.push(Promise.resolve().then(() => prefetchData(routeParams)));
+    }
+
+    return Promise.allSettled(tasks).then(() => {});
+};
+
+/**
+ * Renders the current route again without navigating, e.g. after its data changed.
+ * Guards and leave hooks do not run. The scroll position and view state are kept.
+ */
+const refresh = () => {
+    handleRouteChange({ restore: currentRoute ? captureEntryState() : null });
+};
+
+/**
+ * Rewrites the entry URL into its canonical path form, without adding a history entry:
+ * - `?route=/car/3` coming from the `404.html` redirect of static hosts
+ * - legacy `?page=car&id=3` bookmarks of pages that have a registered route
+ */
+const canonicalizeEntryUrl = () => {
+    const query = getQuery();
+
+    if (query.route) {
+        const url = new URL(basePath + query.route.replace(/^\//, ''), window.location.origin);
+        url.hash = window.location.hash;
+        history.replaceState(history.state, '', url);
+        return;
+    }
+
+    const { page, params } = resolveRoute();
+    if (currentPath() === '/' && query.page !== undefined && routes.some((r) => r.page === page)) {
+        const url = buildUrl(params);
+        url.hash = window.location.hash;
+        history.replaceState(history.state, '', url);
+    }
+};
+
 /**
  * Initializes the router.
- * Should be called once on app startup.
+ * Should be called once on app startup, after routes are registered.
+ * 
+ * @param {Partial<RouterOptions>} [options={}] - Router options.
  */
-const init = () => {
+const init = (options = {}) => {
+    Object.assign(routerOptions, options);
+    if (routerOptions.restoreScroll && 'scrollRestoration' in history) history.scrollRestoration = 'manual';
+    pruneCache();
+    canonicalizeEntryUrl();
     patchHistoryMethods();
-    handleRouteChange();
+
+    currentIndex = history.state?.routerIndex ?? 0;
+    nativeHistory.replaceState({ ...history.state, routerIndex: currentIndex }, '', window.location.href);
+
+    transition(new URL(window.location.href), { type: 'init' });
 };
 
+/**
+ * `{{href "page" "name" value ...}}` — URL of a page, followed by its params as name–value pairs.
+ * E.g. `{{href "car" "id" id}}` renders `/car/3`.
+ */
+Template.registerHelper('href', (page, ...pairs) => {
+    const params = { page };
+    for (let i = 0; i < pairs.length; i += 2) params[pairs[i]] = pairs[i + 1];
+    return href(params);
+});
+
 /**
  * Global Router API
  * 
  * @namespace
  * @property {Function} init - Initializes the router.
  * @property {Function} navigate - Navigates to a new page.
- * @property {Function} getParams - Gets current URL query parameters.
+ * @property {Function} href - Generates the URL of a page.
+ * @property {Function} getParams - Gets current route parameters.
+ * @property {Function} refresh - Renders the current route again.
+ * @property {Function} route - Registers a path pattern for a page.
  * @property {Function} onPage - Registers a page-specific handler.
+ * @property {Function} onPrefetch - Registers a data prefetcher for a page.
+ * @property {Function} onNavigate - Registers a listener for allowed navigations.
+ * @property {Function} prefetch - Loads a route ahead of navigating to it.
+ * @property {Function} guard - Registers navigation hooks for a page.
+ * @property {Function} beforeLeave - Registers a leave guard for the current page.
+ * @property {Function} onLeave - Registers a cleanup callback for the current page.
+ * @property {Function} preserveViewState - Registers a view state provider for the current page.
+ * @property {Function} getViewState - Gets the view state restored for the current page.
  * @property {Function} clearCache - Clears all cached pages.
+ * @property {string} basePath - Path of the application root.
  */
 window.Router = {
     init,
     navigate,
+    href,
     getParams,
+    refresh,
+    route,
     onPage,
+    onPrefetch,
+    onNavigate,
+    prefetch,
+    guard,
+    beforeLeave,
+    onLeave,
+    preserveViewState,
+    getViewState,
     clearCache,
+    basePath,
 };
@@ -0,0 +1,238 @@
+/**
+ * Car Schema Module
+ * The single definition of what a valid car is, shared by every form
+ * that creates or edits cars.
+ *
+ * Usage:
+ *
+ * ```js
+ * const { valid, errors, data } = CarSchema.validate(CarSchema.read(form));
+ * if (!valid) DOM.showFieldErrors(form, errors);
+ * ```
+ */
+
+/**
+ * Brands the server accepts.
+ * @type {string[]}
+ */
+const CAR_BRANDS = [
+    "Toyota", "Honda", "Ford", "Chevrolet", "Volkswagen", "BMW", "Mercedes-Benz", "Audi",
+    "Nissan", "Hyundai", "Kia", "Volvo", "Subaru", "Mazda", "Lexus", "Tesla", "Porsche",
+    "Jeep", "Fiat", "Renault", "Peugeot", "Citroën", "Skoda", "Seat", "Opel", "Mitsubishi"
+];
+
+/**
+ * @typedef {Object} FieldRule
+ * @property {string} label - English field name, e.g. for import headers. Messages use the
+ * translated `field.<name>` message instead.
+ * @property {'string'|'number'|'boolean'|'date'} type - Value type; inputs are coerced to it.
+ * @property {boolean|((car: object) => boolean)} [required] - Whether a value must be present.
+ * @property {((car: object) => boolean)} [skip] - When true, the field is not validated and set to `empty`.
+ * @property {*} [empty=null] - Value stored when the field is empty or skipped.
+ * @property {string[]} [oneOf] - Allowed values, compared case-insensitively.
+ * @property {number} [greaterThan] - Exclusive lower bound for numbers.
+ * @property {boolean} [notInFuture] - Dates must not lie after today.
+ * @property {string[]} [keywords] - Words identifying the field in server messages.
+ */
+
+/**
+ * Declarative car schema, in form order.
+ * @type {Object.<string, FieldRule>}
+ */
+const carSchema = {
+    brand: {
+        label: 'Brand',
+        type: 'string',
+        required: true,
+        oneOf: CAR_BRANDS,
+        keywords: ['brand'],
+    },
+    model: {
+        label: 'Model',
+        type: 'string',
+        required: true,
+        keywords: ['model'],
+    },
+    electric: {
+        label: 'Electric',
+        type: 'boolean',
+        empty: false,
+        keywords: ['electric'],
+    },
+    fuelUse: {
+        label: 'Fuel usage',
+        type: 'number',
+        required: true,
+        greaterThan: 0,
+        skip: (car) => Boolean(car.electric),
+        empty: 0,
+        keywords: ['fuel'],
+    },
+    dayOfCommission: {
+        label: 'Commission date',
+        type: 'date',
+        notInFuture: true,
+        keywords: ['commission'],
+    },
+    owner: {
+        label: 'Owner',
+        type: 'string',
+        keywords: ['owner'],
+    },
+};
+
+/**
+ * Whether a raw value counts as missing.
+ * @param {*} value - Raw value.
+ * @returns {boolean}
+ */
+const isEmptyValue = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Returns today's date as `YYYY-MM-DD` in local time.
+ * @returns {string}
+ */
+const todayIso = () => {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+/**
+ * Validates and normalizes a single field.
+ *
+ * @param {FieldRule} rule - Field rule.
+ * @param {*} raw - Raw value.
+ * @param {object} car - All values, for conditional rules; the fields validated so far are normalized.
+ * @param {string} label - Field name in messages, in the current language.
+ * @returns {{value: *, error: string|null}} Normalized value, or the error message.
+ */
+const validateField = (rule, raw, car, label) => {
+    const empty = rule.empty ?? null;
+
+    if (rule.skip?.(car)) return { value: empty, error: null };
+
+    if (rule.type === 'boolean') {
+        return { value: raw === true || ['true', 'on', 'yes', '1'].includes(String(raw).trim().toLowerCase()), error: null };
+    }
+
+    if (isEmptyValue(raw)) {
+        const required = typeof rule.required === 'function' ? rule.required(car) : rule.required;
+        return { value: empty, error: required ? t('validation.required', { label }) : null };
+    }
+
+    const text = String(raw).trim();
+
+    switch (rule.type) {
+        case 'number': {
+            const value = Number(text.replace(',', '.'));
+            if (isNaN(value)) return { value: null, error: t('validation.number', { label }) };
+            if (rule.greaterThan !== undefined && value <= rule.greaterThan) {
+                return { value: null, error: t('validation.greaterThan', { label, min: rule.greaterThan }) };
+            }
+            return { value, error: null };
+        }
+        case 'date': {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(new Date(text))) {
+                return { value: null, error: t('validation.date', { label }) };
+            }
+            if (rule.notInFuture && text > todayIso()) {
+                return { value: null, error: t('validation.future', { label }) };
+            }
+            return { value: text, error: null };
+        }
+        default: {
+            if (rule.oneOf) {
+                const match = rule.oneOf.find((option) => option.toLowerCase() === text.toLowerCase());
+                if (!match) {
+                    return {
+                        value: null,
+                        error: t('validation.oneOf', { label, lowerLabel: label.toLowerCase(), options: rule.oneOf.slice(0, 5).join(', ') }),
+                    };
+                }
+                return { value: match, error: null };
+            }
+            return { value: text, error: null };
+        }
+    }
+};
+
+/**
+ * Validates raw car values, e.g. from a form or an imported row.
+ *
+ * @param {Object.<string, *>} values - Raw values keyed by field name.
+ * @returns {{valid: boolean, errors: Object.<string, string>, data: object}}
+ * `errors` holds one message per invalid field, `data` the normalized car.
+ */
+const validateCar = (values) => {
+    const errors = {};
+    const data = {};
+
+    for (const [field, rule] of Object.entries(carSchema)) {
+        // Conditional rules see the fields before them already normalized, e.g. `electric` as a boolean
+        const { value, error } = validateField(rule, values[field], { ...values, ...data }, t(`field.${field}`));
+        data[field] = value;
+        if (error) errors[field] = error;
+    }
+
+    if (values.id !== undefined && values.id !== '') data.id = Number(values.id);
+
+    return { valid: Object.keys(errors).length === 0, errors, data };
+};
+
+/**
+ * Reads the raw values of the schema's fields from a form, by input `name`.
+ * Checkboxes yield booleans, other inputs their string value.
+ *
+ * @param {HTMLFormElement} form - Form to read.
+ * @returns {Object.<string, *>} Raw values, plus `id` when the form has one.
+ */
+const readCarForm = (form) => {
+    const values = {};
+
+    for (const field of [...Object.keys(carSchema), 'id']) {
+        const input = form.elements.namedItem(field);
+        if (!input) continue;
+        values[field] = input.type === 'checkbox' ? input.checked : input.value;
+    }
+
+    return values;
+};
+
+/**
+ * Maps a rejected request onto schema fields.
+ * Uses the server's field errors when it sent any, otherwise looks for
+ * a field's keywords in the message. Messages that match no field go to `_form`.
+ *
+ * @param {ApiError} error - Error of a 400 response.
+ * @returns {Object.<string, string>} Messages keyed by field name or `_form`.
+ */
+const fieldErrorsFromServer = (error) => {
+    const fromServer = Object.entries(error.fieldErrors || {})
+        .filter(([field]) => field in carSchema);
+    if (fromServer.length) return Object.fromEntries(fromServer);
+
+    const message = error.message.toLowerCase();
+    const field = Object.keys(carSchema)
+        .find((name) => carSchema[name].keywords.some((keyword) => message.includes(keyword)));
+
+    return { [field || '_form']: error.message };
+};
+
+/**
+ * Global car schema API.
+ *
+ * @namespace
+ * @property {string[]} brands - Accepted brands.
+ * @property {Object.<string, FieldRule>} fields - Field rules.
+ * @property {Function} validate - Validates raw car values.
+ * @property {Function} read - Reads raw car values from a form.
+ * @property {Function} fromServerError - Maps a 400 response onto fields.
+ */
+window.CarSchema = {
+    brands: CAR_BRANDS,
+    fields: carSchema,
+    validate: validateCar,
+    read: readCarForm,
+    fromServerError: fieldErrorsFromServer,
+};
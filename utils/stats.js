@@ -0,0 +1,176 @@
+/**
+ * Fleet Statistics Module
+ * Aggregates the car list for the `stats` page.
+ *
+ * Usage:
+ *
+ * ```js
+ * const stats = FleetStats.summarize(cars);
+ * const charts = FleetStats.charts(stats); // SVG markup per chart
+ * ```
+ */
+
+/**
+ * Fleet age buckets, in years since commission: `[from, to)`, with the message key of their label.
+ * @type {{message: string, from: number, to: number}[]}
+ */
+const AGE_BUCKETS = [
+    { message: 'stats.ageUnder1', from: 0, to: 1 },
+    { message: 'stats.age1to3', from: 1, to: 3 },
+    { message: 'stats.age3to5', from: 3, to: 5 },
+    { message: 'stats.age5to10', from: 5, to: 10 },
+    { message: 'stats.age10plus', from: 10, to: Infinity },
+];
+
+/**
+ * Owners listed individually; the rest are summed up as "Other owners".
+ * @type {number}
+ */
+const TOP_OWNERS = 10;
+
+/**
+ * Formats a local date as `YYYY-MM-DD`.
+ * @param {Date} date - Date to format.
+ * @returns {string}
+ */
+const isoDay = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Returns the date a number of years before another one.
+ * @param {Date} date - Reference date.
+ * @param {number} years - Years to go back.
+ * @returns {Date}
+ */
+const yearsBefore = (date, years) => new Date(date.getFullYear() - years, date.getMonth(), date.getDate());
+
+/**
+ * Commission date range of an age bucket, for the home list's `from` / `to` filters.
+ *
+ * @param {{from: number, to: number}} bucket - Age bucket.
+ * @param {Date} today - Reference date.
+ * @returns {{from?: string, to: string}} Inclusive date range.
+ */
+const bucketDateRange = (bucket, today) => {
+    const range = { to: isoDay(yearsBefore(today, bucket.from)) };
+    if (bucket.to !== Infinity) {
+        const oldest = yearsBefore(today, bucket.to);
+        oldest.setDate(oldest.getDate() + 1);
+        range.from = isoDay(oldest);
+    }
+    return range;
+};
+
+/**
+ * @typedef {Object} FleetSummary
+ * @property {number} total - Number of cars.
+ * @property {{electric: number, combustion: number, electricShare: number}} drive - Cars per drive type.
+ * @property {{brand: string, average: number, cars: number}[]} fuelByBrand - Average fuel use of
+ * combustion cars per brand, highest first.
+ * @property {{label: string, count: number, range: {from?: string, to: string}}[]} ages - Cars per age bucket.
+ * @property {number} unknownAge - Cars without a (past) commission date.
+ * @property {{owner: string, count: number}[]} owners - Cars per owner, most first.
+ * @property {number} otherOwners - Cars of owners beyond the top ones.
+ * @property {number} withoutOwner - Cars without an owner.
+ */
+
+/**
+ * Aggregates a car list.
+ *
+ * @param {object[]} cars - Cars to aggregate.
+ * @param {Date} [today=new Date()] - Reference date for ages.
+ * @returns {FleetSummary}
+ */
+const summarizeFleet = (cars, today = new Date()) => {
+    const electric = cars.filter((car) => car.electric).length;
+
+    const fuel = new Map();
+    for (const car of cars) {
+        if (car.electric || !(Number(car.fuelUse) > 0)) continue;
+        const entry = fuel.get(car.brand) || { brand: car.brand, sum: 0, cars: 0 };
+        entry.sum += Number(car.fuelUse);
+        entry.cars++;
+        fuel.set(car.brand, entry);
+    }
+
+    const ages = AGE_BUCKETS.map((bucket) => ({ label: t(bucket.message), count: 0, range: bucketDateRange(bucket, today) }));
+    let unknownAge = 0;
+    for (const car of cars) {
+        // Same comparison as the home list's date filters, so a bucket links to exactly its cars
+        const day = car.dayOfCommission ? String(car.dayOfCommission).slice(0, 10) : '';
+        const bucket = day && ages.find(({ range }) => (!range.from || day >= range.from) && day <= range.to);
+        if (bucket) bucket.count++;
+        else unknownAge++;
+    }
+
+    const owners = new Map();
+    let withoutOwner = 0;
+    for (const car of cars) {
+        const owner = String(car.owner ?? '').trim();
+        if (!owner) withoutOwner++;
+        else owners.set(owner, (owners.get(owner) || 0) + 1);
+    }
+    const ranked = [...owners].map(([owner, count]) => ({ owner, count }))
+        .sort((a, b) => b.count - a.count || a.owner.localeCompare(b.owner));
+
+    return {
+        total: cars.length,
+        drive: {
+            electric,
+            combustion: cars.length - electric,
+            electricShare: cars.length ? electric / cars.length : 0,
+        },
+        fuelByBrand: [...fuel.values()]
+            .map(({ brand, sum, cars: count }) => ({ brand, average: sum / count, cars: count }))
+            .sort((a, b) => b.average - a.average),
+        ages,
+        unknownAge,
+        owners: ranked.slice(0, TOP_OWNERS),
+        otherOwners: ranked.slice(TOP_OWNERS).reduce((sum, o) => sum + o.count, 0),
+        withoutOwner,
+    };
+};
+
+/**
+ * Renders the charts of a summary. Segments link to the home list filtered to them.
+ *
+ * @param {FleetSummary} stats - Fleet summary.
+ * @returns {{drive: string, fuel: string, age: string, owners: string}} SVG markup per chart.
+ */
+const fleetCharts = (stats) => ({
+    drive: Charts.donut([
+        { label: t('stats.electric'), value: stats.drive.electric, color: '#59a14f', link: { page: 'home', electric: 'yes' } },
+        { label: t('stats.combustion'), value: stats.drive.combustion, color: '#4e79a7', link: { page: 'home', electric: 'no' } },
+    ], { title: t('stats.driveChart') }),
+
+    fuel: Charts.bars(stats.fuelByBrand.map(({ brand, average }) => ({
+        label: brand,
+        value: average,
+        link: { page: 'home', brand, electric: 'no', sort: 'fuelUse', dir: 'desc' },
+    })), { title: t('stats.fuel'), digits: 1, unit: t('stats.fuelUnit') }),
+
+    age: Charts.bars([
+        ...stats.ages.map(({ label, count, range }) => ({ label, value: count, link: { page: 'home', ...range } })),
+        ...(stats.unknownAge ? [{ label: t('stats.unknown'), value: stats.unknownAge, color: '#bab0ac' }] : []),
+    ], { title: t('stats.age') }),
+
+    owners: Charts.bars([
+        ...stats.owners.map(({ owner, count }) => ({ label: owner, value: count, link: { page: 'home', owner } })),
+        ...(stats.otherOwners ? [{ label: t('stats.otherOwners'), value: stats.otherOwners, color: '#bab0ac' }] : []),
+        ...(stats.withoutOwner ? [{ label: t('stats.noOwner'), value: stats.withoutOwner, color: '#bab0ac' }] : []),
+    ], { title: t('stats.owners') }),
+});
+
+/**
+ * Global fleet statistics API.
+ *
+ * @namespace
+ * @property {Function} summarize - Aggregates a car list.
+ * @property {Function} charts - Renders the charts of a summary.
+ */
+window.FleetStats = {
+    summarize: summarizeFleet,
+    charts: fleetCharts,
+};
@@ -0,0 +1,380 @@
+/**
+ * Car Store Module
+ * Client-side state of the cars, shared by every page.
+ *
+ * Pages read through the store instead of calling the API themselves, and
+ * subscribe to it to re-render when cars change. Mutations are optimistic:
+ * the store changes first, then the request goes out through `Offline.send`,
+ * and a rejected request rolls the change back.
+ *
+ * Cache invalidation:
+ * - The list and single cars are refetched once older than `CAR_STORE_MAX_AGE`.
+ * - Reads of the list while it is being fetched share that request.
+ * - A mutation updates the stored car in place; nothing is refetched.
+ * - A rejected mutation rolls back and marks the car stale, as the server may
+ *   know better (e.g. another client deleted it).
+ * - Replaying offline changes invalidates everything, as queued creations get
+ *   their real ids only then.
+ *
+ * Accepted and queued mutations are logged in `CarHistory`.
+ *
+ * Usage:
+ *
+ * ```js
+ * const { cars } = await CarStore.list({ signal });
+ * const unsubscribe = CarStore.subscribe(({ type, id }) => Router.refresh());
+ * await CarStore.update({ ...car, owner: 'Anna' }); // throws ApiError after rolling back
+ * ```
+ */
+
+/**
+ * How long loaded cars are used before they are fetched again, in milliseconds.
+ * @type {number}
+ */
+const CAR_STORE_MAX_AGE = 60000;
+
+/**
+ * Stored cars by id, in list order.
+ * @type {Map<string, object>}
+ */
+const storedCars = new Map();
+
+/**
+ * When each car was last loaded or saved, by id.
+ * @type {Map<string, number>}
+ */
+const carLoadedAt = new Map();
+
+/**
+ * State of the whole list.
+ * - `loadedAt`: when it was fetched, `0` when it has to be fetched again.
+ * - `offlineSince`: when the list came from the offline cache, `null` if it is live.
+ * - `pending`: the load in flight, shared by every read meanwhile (e.g. a prefetch
+ *   and the navigation following it).
+ * @type {{loadedAt: number, offlineSince: number|null, pending: Promise<void>|null}}
+ */
+const carList = { loadedAt: 0, offlineSince: null, pending: null };
+
+/**
+ * Sequence for the temporary ids of cars being created.
+ * @type {number}
+ */
+let localCarId = 0;
+
+/**
+ * Listeners notified about changes.
+ * @type {Set<Function>}
+ */
+const storeListeners = new Set();
+
+/**
+ * @typedef {Object} CarStoreEvent
+ * @property {'created'|'updated'|'removed'|'rolledBack'|'invalidated'} type - What happened.
+ * @property {string} [id] - Affected car, missing when every car is affected.
+ */
+
+/**
+ * Notifies listeners.
+ * @param {CarStoreEvent} event - Event passed to every listener.
+ */
+const emitStore = (event) => {
+    storeListeners.forEach((listener) => {
+        try {
+            listener(event);
+        } catch (err) {
+            console.error('Car store listener failed', err);
+        }
+    });
+};
+
+/**
+ * Whether something loaded at the given time can still be used.
+ * @param {number|undefined} loadedAt - Timestamp of the load.
+ * @returns {boolean}
+ */
+const isFresh = (loadedAt) => Boolean(loadedAt) && Date.now() - loadedAt < CAR_STORE_MAX_AGE;
+
+/**
+ * Stores a car as loaded or saved now.
+ * @param {object} car - Car with its id.
+ */
+const putCar = (car) => {
+    const id = String(car.id);
+    storedCars.set(id, car);
+    carLoadedAt.set(id, Date.now());
+};
+
+/**
+ * Fetches the list into the store. Only the newest load writes the store:
+ * one superseded by an invalidation or a forced load is ignored.
+ * @returns {Promise<void>}
+ */
+const loadCarList = () => {
+    const load = Offline.fetchCars()
+        .then(({ cars, offlineSince }) => {
+            if (carList.pending !== load) return;
+
+            storedCars.clear();
+            carLoadedAt.clear();
+            cars.forEach(putCar);
+            carList.loadedAt = Date.now();
+            carList.offlineSince = offlineSince;
+        })
+        .finally(() => {
+            if (carList.pending === load) carList.pending = null;
+        });
+
+    carList.pending = load;
+    return load;
+};
+
+/**
+ * Waits for a promise, giving up once the signal aborts. The promise itself goes on,
+ * as other callers may share it.
+ *
+ * @param {Promise<*>} promise - Promise to wait for.
+ * @param {AbortSignal} [signal] - Stops the wait.
+ * @returns {Promise<*>}
+ * @throws {DOMException} `AbortError` when the signal aborted.
+ */
+const untilAborted = (promise, signal) => {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(signal.reason);
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+};
+
+/**
+ * Lists the cars, fetching them when the stored list is stale.
+ * Without a connection the list saved by `Offline` is used.
+ *
+ * @param {{signal?: AbortSignal, force?: boolean}} [options={}] - Aborts the request;
+ * `force` fetches even a fresh list.
+ * @returns {Promise<{cars: object[], offlineSince: number|null}>}
+ * @throws {ApiError} When the list cannot be loaded.
+ */
+const listCars = async ({ signal, force = false } = {}) => {
+    if (force) carList.pending = null;
+
+    while (force || !isFresh(carList.loadedAt)) {
+        force = false;
+        await untilAborted(carList.pending ?? loadCarList(), signal);
+    }
+
+    return { cars: [...storedCars.values()], offlineSince: carList.offlineSince };
+};
+
+/**
+ * Returns a stored car without fetching it, e.g. the one a page was just rendered from.
+ * @param {string|number} id - Car id.
+ * @returns {object|null} The car, `null` when it is not stored.
+ */
+const peekCar = (id) => storedCars.get(String(id)) ?? null;
+
+/**
+ * Gets a car, fetching it when the stored one is stale. Without a connection
+ * the car is taken from the list saved by `Offline`, including its pending changes.
+ *
+ * @param {string|number} id - Car id.
+ * @param {{signal?: AbortSignal}} [options={}] - Aborts the request.
+ * @returns {Promise<object>}
+ * @throws {ApiError} When the car cannot be loaded.
+ */
+const getCar = async (id, { signal } = {}) => {
+    const key = String(id);
+    if (storedCars.has(key) && isFresh(carLoadedAt.get(key))) return storedCars.get(key);
+
+    let car;
+    try {
+        car = await api.get(`car/${key}`, { signal });
+    } catch (error) {
+        if (signal?.aborted || error.status !== 0) throw error;
+
+        const cached = await Offline.loadCars();
+        const pending = await Offline.pendingChanges();
+        car = Offline.applyPendingChanges(cached?.cars || [], pending).find((c) => String(c.id) === key);
+        if (!car) throw error;
+    }
+
+    putCar(car);
+    return car;
+};
+
+/**
+ * Runs an optimistic change to one car: applies it, sends the request and
+ * restores the car when the server rejects it.
+ *
+ * @param {string} id - Affected car.
+ * @param {() => void} apply - Changes the stored car.
+ * @param {() => Promise<{queued: boolean, id?: number, data?: *}>} send - Sends the request.
+ * @returns {Promise<{queued: boolean, id?: number, data?: *}>} Result of `Offline.send`.
+ * @throws {ApiError} When the server rejected the change.
+ */
+const mutate = async (id, apply, send) => {
+    const previous = storedCars.get(id);
+    apply();
+
+    try {
+        return await send();
+    } catch (error) {
+        if (previous) storedCars.set(id, previous);
+        else storedCars.delete(id);
+        carLoadedAt.delete(id);
+        emitStore({ type: 'rolledBack', id });
+        throw error;
+    }
+};
+
+/**
+ * Creates a car. It is listed right away under a temporary id, replaced by the
+ * server's once the request succeeds. A queued creation keeps the `pending-<n>`
+ * id `Offline` gives it.
+ *
+ * @param {object} data - Car fields, without an id.
+ * @returns {Promise<{queued: boolean, id?: number, data?: *}>} Result of `Offline.send`.
+ * @throws {ApiError} When the server rejected the car.
+ */
+const createCar = async (data) => {
+    const tempId = `local-${++localCarId}`;
+
+    const result = await mutate(tempId, () => {
+        storedCars.set(tempId, { ...data, id: tempId, pending: true, pendingCreate: true });
+        emitStore({ type: 'created', id: tempId });
+    }, () => Offline.send('POST', 'car', data));
+
+    storedCars.delete(tempId);
+    const car = result.queued
+        ? { ...data, id: `pending-${result.id}`, pending: true, pendingCreate: true }
+        : { ...data, ...result.data };
+    putCar(car);
+    emitStore({ type: 'created', id: String(car.id) });
+    CarHistory.record({ type: 'create', carId: car.id, after: car, queued: result.queued });
+
+    return result;
+};
+
+/**
+ * Saves a car's fields. A queued update marks the car as pending.
+ *
+ * @param {object} car - Car with its id and new field values.
+ * @param {{revertOf?: string}} [options={}] - `CarHistory` entry whose earlier values
+ * this update restores, logged as a revert.
+ * @returns {Promise<{queued: boolean, id?: number, data?: *}>} Result of `Offline.send`.
+ * @throws {ApiError} When the server rejected the update.
+ */
+const updateCar = async (car, { revertOf } = {}) => {
+    const id = String(car.id);
+    const previous = storedCars.get(id);
+    const merged = { ...previous, ...car };
+
+    const result = await mutate(id, () => {
+        storedCars.set(id, merged);
+        emitStore({ type: 'updated', id });
+    }, () => Offline.send('PUT', 'car', car));
+
+    putCar(result.queued ? { ...merged, pending: true } : merged);
+    if (result.queued) emitStore({ type: 'updated', id });
+    CarHistory.record({
+        type: revertOf ? 'revert' : 'update',
+        carId: id,
+        before: previous,
+        after: merged,
+        queued: result.queued,
+        revertOf,
+    });
+
+    return result;
+};
+
+/**
+ * Deletes a car. A queued deletion keeps the car listed as `pendingDelete`,
+ * like `Offline` lists it.
+ *
+ * @param {string|number} id - Car id.
+ * @returns {Promise<{queued: boolean, id?: number, data?: *}>} Result of `Offline.send`.
+ * @throws {ApiError} When the server rejected the deletion.
+ */
+const removeCar = async (id) => {
+    const key = String(id);
+    const previous = storedCars.get(key);
+
+    const result = await mutate(key, () => {
+        storedCars.delete(key);
+        carLoadedAt.delete(key);
+        emitStore({ type: 'removed', id: key });
+    }, () => Offline.send('DELETE', `car/${key}`));
+
+    if (result.queued && previous) {
+        putCar({ ...previous, pending: true, pendingDelete: true });
+        emitStore({ type: 'updated', id: key });
+    }
+    CarHistory.record({ type: 'delete', carId: key, before: previous, queued: result.queued });
+
+    return result;
+};
+
+/**
+ * Marks one car, or every car and the list, as stale, so the next read fetches them again.
+ * @param {string|number} [id] - Car id, all cars when omitted.
+ */
+const invalidateCars = (id) => {
+    if (id === undefined) {
+        carList.loadedAt = 0;
+        carList.pending = null;
+        carLoadedAt.clear();
+        emitStore({ type: 'invalidated' });
+    } else {
+        carLoadedAt.delete(String(id));
+        emitStore({ type: 'invalidated', id: String(id) });
+    }
+};
+
+/**
+ * Subscribes to store changes. Loads from the server are not reported,
+ * so a page may re-render from its listener without looping.
+ *
+ * @param {(event: CarStoreEvent) => void} listener - Called for every change.
+ * @returns {() => void} Function that unsubscribes the listener.
+ */
+const subscribeStore = (listener) => {
+    storeListeners.add(listener);
+    return () => storeListeners.delete(listener);
+};
+
+/**
+ * Replayed offline changes gave queued cars their real ids and may have been
+ * rejected, so the stored cars no longer match the server.
+ */
+Offline.subscribe(({ type }) => {
+    if (type === 'replayed') invalidateCars();
+});
+
+/**
+ * Global car store API.
+ *
+ * @namespace
+ * @property {number} maxAge - Milliseconds loaded cars are used before they are fetched again.
+ * @property {Function} list - Lists the cars.
+ * @property {Function} get - Gets a car.
+ * @property {Function} peek - Returns a stored car without fetching it.
+ * @property {Function} create - Creates a car optimistically.
+ * @property {Function} update - Saves a car optimistically.
+ * @property {Function} remove - Deletes a car optimistically.
+ * @property {Function} invalidate - Marks cars as stale.
+ * @property {Function} subscribe - Subscribes to store changes.
+ */
+window.CarStore = {
+    maxAge: CAR_STORE_MAX_AGE,
+    list: listCars,
+    get: getCar,
+    peek: peekCar,
+    create: createCar,
+    update: updateCar,
+    remove: removeCar,
+    invalidate: invalidateCars,
+    subscribe: subscribeStore,
+};
@@ -0,0 +1,420 @@
+/**
+ * Template Module
+ * A small logic-less template engine used by `DOM.inject`.
+ * Templates are parsed once and compiled into cached render functions.
+ *
+ * Syntax:
+ * - `{{ path }}` — inserts the escaped value, e.g. `{{owner.name}}`, `{{this}}`, `{{@index}}`.
+ * - `{{{ path }}}` — inserts the value without escaping (trusted HTML only).
+ * - `{{helper arg1 arg2}}` — calls a registered helper, e.g. `{{number fuelUse 1}}`.
+ *   Arguments are paths or literals (`"text"`, `'text'`, `12.5`, `true`, `false`, `null`).
+ * - `{{#if expr}}...{{else}}...{{/if}}` — conditional, empty arrays count as false.
+ * - `{{#unless expr}}...{{else}}...{{/unless}}` — inverted conditional.
+ * - `{{#each expr}}...{{else}}...{{/each}}` — iterates arrays and objects, `{{else}}` renders when empty.
+ *   Inside the loop `this` is the item, `@index`, `@key`, `@first` and `@last` describe its position,
+ *   `../key` reads from the enclosing scope and `@root.key` from the top-level params.
+ * - `{{#with expr}}...{{else}}...{{/with}}` — renders with `expr` as the current scope.
+ * - `{{! comment }}` — ignored.
+ */
+
+/**
+ * Registered inline helpers, called as `{{name arg1 arg2}}`.
+ * @type {Map<string, (...args: *[]) => *>}
+ */
+const templateHelpers = new Map();
+
+/**
+ * Block names understood by the parser.
+ * @type {Set<string>}
+ */
+const BLOCK_NAMES = new Set(['if', 'unless', 'each', 'with']);
+
+/**
+ * Matches a single `{{ ... }}` or `{{{ ... }}}` tag.
+ * @type {RegExp}
+ */
+const TAG_PATTERN = /{{{\s*([\s\S]+?)\s*}}}|{{\s*([\s\S]+?)\s*}}/g;
+
+/**
+ * Matches a single argument of an expression: a quoted string or a bare word.
+ * @type {RegExp}
+ */
+const ARG_PATTERN = /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\S+/g;
+
+/**
+ * Splits a template into text and tag tokens.
+ *
+ * @param {string} source - Template source.
+ * @returns {{type: string, value: string, raw?: boolean}[]} Tokens in source order.
+ */
+const tokenizeTemplate = (source) => {
+    const tokens = [];
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        if (match.index > lastIndex) {
+            tokens.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + match[0].length;
+
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'output', value: match[1], raw: true });
+            continue;
+        }
+
+        const tag = match[2];
+        if (tag.startsWith('!')) continue;
+
+        if (tag.startsWith('#')) {
+            tokens.push({ type: 'open', value: tag.slice(1).trim() });
+        } else if (tag.startsWith('/')) {
+            tokens.push({ type: 'close', value: tag.slice(1).trim() });
+        } else if (tag === 'else') {
+            tokens.push({ type: 'else', value: tag });
+        } else {
+            tokens.push({ type: 'output', value: tag, raw: false });
+        }
+    }
+
+    if (lastIndex < source.length) {
+        tokens.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    return tokens;
+};
+
+/**
+ * Parses a single argument into a literal or a path reference.
+ *
+ * @param {string} arg - Argument source.
+ * @returns {{literal: *}|{path: string}} Parsed argument.
+ */
+const parseArgument = (arg) => {
+    if (/^(["']).*\1$/s.test(arg)) {
+        return { literal: arg.slice(1, -1).replace(/\\(.)/g, '$1') };
+    }
+    if (/^-?\d+(\.\d+)?$/.test(arg)) return { literal: Number(arg) };
+    if (arg === 'true') return { literal: true };
+    if (arg === 'false') return { literal: false };
+    if (arg === 'null') return { literal: null };
+    if (arg === 'undefined') return { literal: undefined };
+    return { path: arg };
+};
+
+/**
+ * Parses an expression such as `owner.name` or `number fuelUse 1`.
+ * The first word is a helper call if a helper of that name is registered.
+ *
+ * @param {string} source - Expression source.
+ * @returns {{name: string, args: ({literal: *}|{path: string})[]}} Parsed expression.
+ */
+const parseExpression = (source) => {
+    const [name, ...args] = source.match(ARG_PATTERN) || [''];
+    return { name, args: args.map(parseArgument) };
+};
+
+/**
+ * Builds the syntax tree of a template.
+ *
+ * @param {string} source - Template source.
+ * @returns {object[]} Top-level nodes.
+ * @throws {Error} On unknown, unclosed or mismatched blocks.
+ */
+const parseTemplate = (source) => {
+    const root = { body: [] };
+    const stack = [];
+    let current = root;
+    let target = root.body;
+
+    for (const token of tokenizeTemplate(source)) {
+        switch (token.type) {
+            case 'text':
+                target.push({ type: 'text', value: token.value });
+                break;
+            case 'output':
+                target.push({ type: 'output', expr: parseExpression(token.value), raw: token.raw });
+                break;
+            case 'open': {
+                const [name, ...rest] = token.value.split(/\s+/);
+                if (!BLOCK_NAMES.has(name)) {
+                    throw new Error(`Template error: unknown block {{#${name}}}`);
+                }
+
+                const block = { type: 'block', name, expr: parseExpression(rest.join(' ')), body: [], inverse: [] };
+                target.push(block);
+                stack.push(current);
+                current = block;
+                target = block.body;
+                break;
+            }
+            case 'else':
+                if (current === root || target === current.inverse) {
+                    throw new Error('Template error: unexpected {{else}}');
+                }
+                target = current.inverse;
+                break;
+            case 'close':
+                if (current === root || current.name !== token.value) {
+                    throw new Error(`Template error: unexpected {{/${token.value}}}`);
+                }
+                current = stack.pop();
+                target = current === root ? root.body : current.body;
+                break;
+        }
+    }
+
+    if (current !== root) {
+        throw new Error(`Template error: unclosed {{#${current.name}}}`);
+    }
+
+    return root.body;
+};
+
+/**
+ * Resolves a path against a scope.
+ *
+ * @param {string} path - Path such as `owner.name`, `this`, `../id`, `@index` or `@root.cars`.
+ * @param {{context: *, data: object, parent: object|null, root: *}} scope - Current scope.
+ * @returns {*} The resolved value, `undefined` if any segment is missing.
+ */
+const lookupPath = (path, scope) => {
+    while (path.startsWith('../')) {
+        scope = scope.parent || scope;
+        path = path.slice(3);
+    }
+
+    if (path === 'this' || path === '.') return scope.context;
+    if (path.startsWith('@root')) return resolveSegments(scope.root, path.slice(6));
+    if (path.startsWith('@')) return scope.data[path.slice(1)];
+
+    return resolveSegments(scope.context, path.replace(/^this\./, ''));
+};
+
+/**
+ * Walks a dotted path into a value.
+ *
+ * @param {*} value - Starting value.
+ * @param {string} path - Dotted path, empty for the value itself.
+ * @returns {*} The resolved value.
+ */
+const resolveSegments = (value, path) => {
+    if (!path) return value;
+    return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), value);
+};
+
+/**
+ * Compiles an argument into a function of the scope.
+ *
+ * @param {{literal: *}|{path: string}} arg - Parsed argument.
+ * @returns {(scope: object) => *} Argument getter.
+ */
+const compileArgument = (arg) => {
+    if ('literal' in arg) {
+        const { literal } = arg;
+        return () => literal;
+    }
+    const { path } = arg;
+    return (scope) => lookupPath(path, scope);
+};
+
+/**
+ * Compiles a parsed expression into a function of the scope.
+ * Helpers are looked up on every call, so helpers registered after
+ * a template was compiled are still picked up.
+ *
+ * @param {{name: string, args: object[]}} expr - Parsed expression.
+ * @returns {(scope: object) => *} Expression evaluator.
+ */
+const compileExpression = (expr) => {
+    const { name } = expr;
+    const args = expr.args.map(compileArgument);
+    const self = compileArgument(parseArgument(name));
+
+    return (scope) => {
+        const helper = templateHelpers.get(name);
+
+        if (helper) return helper(...args.map((arg) => arg(scope)));
+        if (args.length) {
+            throw new Error(`Template error: unknown helper "${name}"`);
+        }
+        return self(scope);
+    };
+};
+
+/**
+ * Template truthiness: empty arrays count as false.
+ * @param {*} value - Value to test.
+ * @returns {boolean}
+ */
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+/**
+ * Creates a child scope.
+ *
+ * @param {object} parent - Enclosing scope.
+ * @param {*} context - Value of `this` in the new scope.
+ * @param {object} [data={}] - `@` variables of the new scope.
+ * @returns {object} The new scope.
+ */
+const childScope = (parent, context, data = {}) => ({ context, data, parent, root: parent.root });
+
+/**
+ * Compiles a list of nodes into a render function.
+ *
+ * @param {object[]} nodes - Nodes to compile.
+ * @returns {(scope: object) => string} Render function.
+ */
+const compileNodes = (nodes) => {
+    const parts = nodes.map(compileNode);
+
+    return (scope) => {
+        let html = '';
+        for (const part of parts) html += part(scope);
+        return html;
+    };
+};
+
+/**
+ * Compiles a single node into a render function.
+ *
+ * @param {object} node - Node to compile.
+ * @returns {(scope: object) => string} Render function.
+ */
+const compileNode = (node) => {
+    if (node.type === 'text') {
+        const { value } = node;
+        return () => value;
+    }
+
+    const expr = compileExpression(node.expr);
+
+    if (node.type === 'output') {
+        const { raw } = node;
+        return (scope) => {
+            const value = expr(scope);
+            if (value == null) return '';
+            return raw ? String(value) : escapeHtml(value);
+        };
+    }
+
+    const body = compileNodes(node.body);
+    const inverse = compileNodes(node.inverse);
+
+    switch (node.name) {
+        case 'if':
+            return (scope) => (isTruthy(expr(scope)) ? body(scope) : inverse(scope));
+        case 'unless':
+            return (scope) => (isTruthy(expr(scope)) ? inverse(scope) : body(scope));
+        case 'with':
+            return (scope) => {
+                const value = expr(scope);
+                return value == null ? inverse(scope) : body(childScope(scope, value));
+            };
+        case 'each':
+            return (scope) => {
+                const value = expr(scope);
+                const entries = Array.isArray(value)
+                    ? value.map((item, index) => [index, item])
+                    : value && typeof value === 'object' ? Object.entries(value) : [];
+
+                if (!entries.length) return inverse(scope);
+
+                return entries.map(([key, item], index) => body(childScope(scope, item, {
+                    index,
+                    key,
+                    first: index === 0,
+                    last: index === entries.length - 1,
+                }))).join('');
+            };
+    }
+};
+
+/**
+ * Compiled render functions, keyed by template source.
+ * @type {Map<string, (params?: object) => string>}
+ */
+const compiledTemplates = new Map();
+
+/**
+ * Compiles a template into a reusable render function.
+ * Each distinct source is parsed only once, later calls return the cached function.
+ *
+ * @param {string} source - Template source.
+ * @returns {(params?: object) => string} Function rendering the template with params.
+ * @throws {Error} On syntax errors.
+ */
+const compileTemplate = (source) => {
+    let compiled = compiledTemplates.get(source);
+
+    if (!compiled) {
+        const renderBody = compileNodes(parseTemplate(source));
+        compiled = (params = {}) => renderBody({ context: params, data: {}, parent: null, root: params });
+        compiledTemplates.set(source, compiled);
+    }
+
+    return compiled;
+};
+
+/**
+ * Renders a template with the given params, compiling it on first use.
+ *
+ * @param {string} source - Template source.
+ * @param {object} [params={}] - Top-level scope of the template.
+ * @returns {string} Rendered HTML.
+ * @throws {Error} On syntax errors or calls to unknown helpers.
+ */
+const renderTemplate = (source, params = {}) => compileTemplate(source)(params);
+
+/**
+ * Registers an inline helper, callable as `{{name arg1 arg2}}`.
+ * The returned value is escaped unless the tag uses `{{{ }}}`.
+ *
+ * @param {string} name - Helper name.
+ * @param {(...args: *[]) => *} fn - Helper function, called with the evaluated arguments.
+ */
+const registerHelper = (name, fn) => {
+    templateHelpers.set(name, fn);
+};
+
+/**
+ * `{{date value}}` — formats a date string or timestamp as a local date.
+ * Empty or invalid values render as an empty string.
+ */
+registerHelper('date', (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    return isNaN(date) ? '' : date.toLocaleDateString();
+});
+
+/**
+ * `{{number value digits}}` — formats a number with a fixed count of fraction digits.
+ * Empty or non-numeric values render as an empty string.
+ */
+registerHelper('number', (value, digits = 0) => {
+    if (value === null || value === undefined || value === '') return '';
+    const number = Number(value);
+    if (isNaN(number)) return '';
+    return number.toLocaleString(undefined, {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+    });
+});
+
+/**
+ * `{{default value fallback}}` — renders `fallback` when `value` is empty.
+ */
+registerHelper('default', (value, fallback = '') => (value == null || value === '' ? fallback : value));
+
+/**
+ * Global template API.
+ *
+ * @namespace
+ * @property {Function} compile - Compiles a template into a cached render function.
+ * @property {Function} render - Renders a template with params.
+ * @property {Function} registerHelper - Registers an inline helper.
+ */
+window.Template = {
+    compile: compileTemplate,
+    render: renderTemplate,
+    registerHelper,
+};